@@ -5,6 +5,7 @@ const compression = require("compression");
 const morgan = require("morgan");
 const config = require("./utils/config");
 const logger = require("./utils/logger");
+const { requireAdminToken } = require("./utils/adminAuth");
 
 // Import routes
 const searchRoutes = require("./routes/search");
@@ -13,6 +14,10 @@ const analyticsRoutes = require("./routes/analytics");
 const webhooksRoutes = require("./routes/webhooks");
 const blogsRouter = require("./routes/blog"); // Assuming the file is blog.js as provided
 const healthRoutes = require("./routes/health");
+const embeddingMigrationsRoutes = require("./routes/embeddingMigrations");
+const contentTypesRoutes = require("./routes/contentTypes");
+const webhookEventsRoutes = require("./routes/webhookEvents");
+const syncRunsRoutes = require("./routes/syncRuns");
 
 const app = express();
 
@@ -38,8 +43,17 @@ app.use(
   })
 );
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// Body parsing middleware. Webhooks keep the raw body for signature checks.
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Request logging middleware
@@ -305,25 +319,40 @@ app.get("/api/test-contentstack-all", async (req, res) => {
   }
 });
 
-// Manual sync endpoint for testing
-app.post("/api/sync", async (req, res) => {
+// Manual sync endpoint. Starts the sync in the background and answers with
+// its run ID: follow it through GET /api/sync/runs/:id or the Server-Sent
+// Events of /api/sync/runs/:id/events, stop it with
+// POST /api/sync/runs/:id/cancel.
+const startSync = async (req, res) => {
   try {
     const syncJob = require("./jobs/syncContent");
-
-    // Check if sync is already running
-    const status = syncJob.getStatus();
-    if (status.isRunning) {
+    const contentTypes = Array.isArray(req.body?.contentTypes)
+      ? req.body.contentTypes
+      : null;
+
+    // Incremental unless a full rebuild or some content types are requested.
+    // Skipped while a sync runs here or on another instance.
+    const job = await syncJob.start({
+      full: req.body?.full === true,
+      contentTypes,
+      trigger: "api",
+    });
+    if (!job) {
       return res.status(423).json({
         message: "Sync job already running",
+        lock: await syncJob.getLock(),
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Run sync
-    await syncJob.run();
+    // Failures are logged and recorded in sync_runs
+    job.done.catch(() => {});
 
-    res.json({
-      message: "Content sync completed successfully",
+    res.status(202).json({
+      message: "Content sync started",
+      id: job.id,
+      status: `/api/sync/runs/${job.id}`,
+      events: `/api/sync/runs/${job.id}/events`,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -334,30 +363,13 @@ app.post("/api/sync", async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   }
-});
-
-// Force sync endpoint to bypass running checks
-app.post("/api/sync/force", async (req, res) => {
-  try {
-    const syncJob = require("./jobs/syncContent");
+};
 
-    // Force run sync (will stop any existing sync)
-    const result = await syncJob.triggerManualSync({ force: true });
-
-    res.json({
-      message: "Content sync forced successfully",
-      result: result,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Force sync failed:", error);
-    res.status(500).json({
-      error: "Force sync failed",
-      message: error.message,
-      timestamp: new Date().toISOString(),
-    });
-  }
-});
+app.post("/api/sync", startSync);
+// Kept for existing callers. A running sync is never bypassed: one sync runs
+// at a time across instances, and the lock of a crashed instance expires
+// after SYNC_LOCK_LEASE_SECONDS.
+app.post("/api/sync/force", startSync);
 
 // API routes
 app.use("/api/search", searchRoutes);
@@ -366,6 +378,13 @@ app.use("/api/analytics", analyticsRoutes);
 app.use("/api/webhook", webhooksRoutes);
 app.use("/api/blogs", blogsRouter);
 app.use("/api/health", healthRoutes);
+// Admin routes require ADMIN_API_TOKEN as a bearer token
+app.use("/api/admin", requireAdminToken);
+app.use("/api/admin/embedding-migrations", embeddingMigrationsRoutes);
+app.use("/api/admin/content-types", contentTypesRoutes);
+app.use("/api/admin/webhook-events", webhookEventsRoutes);
+// Sync run history, progress streams and cancellation are admin-only too
+app.use("/api/sync/runs", requireAdminToken, syncRunsRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -5,6 +5,10 @@ const cron = require("node-cron");
 
 // Import background job
 const syncContent = require("./jobs/syncContent");
+const reconcileIndex = require("./jobs/reconcileIndex");
+const contentTypeConfigService = require("./services/contentTypeConfigs");
+const webhookQueueService = require("./services/webhookQueue");
+const embeddingMigrationService = require("./services/embeddingMigration");
 
 // Start the server
 const server = app.listen(config.port, () => {
@@ -15,18 +19,44 @@ const server = app.listen(config.port, () => {
   });
 });
 
-// Schedule content sync job (runs every hour)
+// Embed with the model of the latest embedding migration cutover, and
+// follow cutovers made by other instances
+embeddingMigrationService.syncLiveModel();
+embeddingMigrationService.startLiveModelRefresh();
+
+// Apply content type configurations stored through the admin API
+contentTypeConfigService.load().catch((error) => {
+  logger.warn("Failed to load stored content type configs:", error.message);
+});
+
+// Schedule content sync job (hourly unless SYNC_SCHEDULE says otherwise)
 if (config.nodeEnv !== "test") {
-  cron.schedule("0 * * * *", async () => {
+  // Apply queued Contentstack webhook events
+  webhookQueueService.start();
+
+  cron.schedule(config.sync.schedule, async () => {
     logger.info("🔄 Starting scheduled content sync...");
     try {
-      await syncContent.run();
+      await syncContent.run({ trigger: "schedule" });
       logger.info("✅ Scheduled content sync completed successfully");
     } catch (error) {
       logger.error("❌ Scheduled content sync failed:", error);
     }
   });
 
+  // Catch deletes and updates missed while the server was down or a webhook
+  // failed
+  if (config.reconciliation.enabled) {
+    cron.schedule(config.reconciliation.schedule, async () => {
+      logger.info("🔄 Starting scheduled index reconciliation...");
+      try {
+        await reconcileIndex.run({ repair: config.reconciliation.repair });
+      } catch (error) {
+        logger.error("❌ Scheduled index reconciliation failed:", error);
+      }
+    });
+  }
+
   // Run initial sync on startup - TEMPORARILY DISABLED
   // setTimeout(async () => {
   //   logger.info('🔄 Running initial content sync...');
@@ -42,6 +72,8 @@ if (config.nodeEnv !== "test") {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received, shutting down gracefully...");
+  webhookQueueService.stop();
+  embeddingMigrationService.stopLiveModelRefresh();
   server.close(() => {
     logger.info("Server closed.");
     process.exit(0);
@@ -50,6 +82,8 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   logger.info("SIGINT received, shutting down gracefully...");
+  webhookQueueService.stop();
+  embeddingMigrationService.stopLiveModelRefresh();
   server.close(() => {
     logger.info("Server closed.");
     process.exit(0);
@@ -0,0 +1,347 @@
+const contentstackService = require("../services/contentstack");
+const embeddingMigrationService = require("../services/embeddingMigration");
+const supabaseService = require("../services/supabase");
+const jobLockService = require("../services/jobLocks");
+const webhookEventService = require("../services/webhookEvents");
+const contentSyncJob = require("./syncContent");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const { buildEntryId } = require("../utils/documentIds");
+
+// IDs listed per category in logs and CLI output
+const SAMPLE_SIZE = 10;
+
+/**
+ * Compares the entries published in Contentstack with the indexed ones, per
+ * content type and locale:
+ *
+ * - missing: published but not indexed
+ * - extra: indexed but no longer published (or of a content type or locale
+ *   that is not synced), e.g. deleted while a webhook was missed
+ * - stale: indexed from an older version than the published one
+ *
+ * With `repair`, extra entries are removed and missing and stale ones are
+ * re-indexed.
+ */
+class ReconcileIndexJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Reconcile the index. Returns the report, or null when skipped because a
+   * sync or another reconciliation is running. It holds the sync lock, so
+   * it never runs alongside a sync on any instance.
+   * @param {Object} options
+   * @param {boolean} options.repair - Fix the differences found
+   * @param {boolean} options.force - Repair even beyond maxRemovalPercent
+   * @param {string[]} options.contentTypes - Limit to these content types
+   */
+  async run(options = {}) {
+    const { repair = false, force = false, contentTypes = null } = options;
+
+    if (this.isRunning || contentSyncJob.isRunning) {
+      logger.warn("🔄 Sync or reconciliation running, skipping reconciliation");
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+    let lease = null;
+
+    try {
+      lease = await jobLockService.acquire(
+        contentSyncJob.lockName,
+        config.sync.lockLeaseSeconds
+      );
+      if (!lease) {
+        logger.warn(
+          "🔄 Sync or reconciliation running on another instance, skipping reconciliation"
+        );
+        return null;
+      }
+
+      if (repair) {
+        await embeddingMigrationService.syncLiveModel();
+      }
+
+      logger.info("🔍 Starting index reconciliation...", {
+        repair,
+        contentTypes: contentTypes || "all",
+      });
+
+      const live = await this.getLiveEntries(contentTypes);
+      const indexed = await this.getIndexedEntries(contentTypes);
+      const report = this.compare(live, indexed);
+
+      report.startedAt = new Date(startTime).toISOString();
+      report.repair = null;
+
+      if (repair) {
+        report.repair = await this.repair(report, live, indexed.size, force);
+      }
+
+      report.duration = Date.now() - startTime;
+      this.lastReport = report;
+
+      logger.info(`✅ Index reconciliation completed in ${report.duration}ms`, {
+        live: report.live,
+        indexed: report.indexed,
+        missing: report.missing.length,
+        extra: report.extra.length,
+        stale: report.stale.length,
+        repair: report.repair,
+      });
+      for (const category of ["missing", "extra", "stale"]) {
+        if (report[category].length > 0) {
+          logger.info(
+            `${category} entries: ${report[category]
+              .slice(0, SAMPLE_SIZE)
+              .join(", ")}`
+          );
+        }
+      }
+
+      return report;
+    } catch (error) {
+      logger.error("❌ Index reconciliation failed:", error);
+      throw error;
+    } finally {
+      if (lease) {
+        await jobLockService.release(lease);
+      }
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Map of entry ID to `{ contentType, uid, locale, updatedAt }` for every
+   * entry published in the synced locales
+   */
+  async getLiveEntries(contentTypes) {
+    const live = new Map();
+    const uids = (await contentstackService.getContentTypes())
+      .map((contentType) => contentType.uid)
+      .filter((uid) => !contentTypes || contentTypes.includes(uid));
+
+    for (const contentType of uids) {
+      for (const locale of contentSyncJob.getLocales()) {
+        const versions = await contentstackService.getEntryVersions(
+          contentType,
+          locale
+        );
+
+        for (const { uid, updatedAt } of versions) {
+          live.set(buildEntryId(contentType, uid, locale), {
+            contentType,
+            uid,
+            locale,
+            updatedAt,
+          });
+        }
+      }
+    }
+
+    return live;
+  }
+
+  /**
+   * Map of indexed entry ID to the `updated_at` it was indexed from
+   */
+  async getIndexedEntries(contentTypes) {
+    const indexed = new Map();
+
+    for (let afterId = ""; ; ) {
+      const rows = await supabaseService.listContentEntryIds(afterId, 1000);
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        if (contentTypes && !contentTypes.includes(row.content_type)) {
+          continue;
+        }
+
+        // Every chunk row carries the updated_at of its entry
+        indexed.set(row.parent_id || row.id, row.updated_at);
+      }
+      afterId = rows[rows.length - 1].id;
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Sort entry IDs into missing, extra and stale
+   */
+  compare(live, indexed) {
+    const missing = [];
+    const stale = [];
+    const extra = [];
+
+    for (const [entryId, entry] of live) {
+      if (!indexed.has(entryId)) {
+        missing.push(entryId);
+      } else if (
+        !indexed.get(entryId) ||
+        Date.parse(entry.updatedAt) > Date.parse(indexed.get(entryId))
+      ) {
+        stale.push(entryId);
+      }
+    }
+
+    for (const entryId of indexed.keys()) {
+      // Includes rows with IDs of another format, see migrate-document-ids
+      if (!live.has(entryId)) {
+        extra.push(entryId);
+      }
+    }
+
+    return {
+      live: live.size,
+      indexed: indexed.size,
+      missing,
+      extra,
+      stale,
+    };
+  }
+
+  /**
+   * Remove extra entries and re-index missing and stale ones
+   */
+  async repair(report, live, indexedCount, force) {
+    const result = { removed: 0, reindexed: 0, failed: 0, refused: false };
+    const removalPercent =
+      indexedCount > 0 ? (report.extra.length / indexedCount) * 100 : 0;
+
+    if (!force && removalPercent > config.reconciliation.maxRemovalPercent) {
+      logger.warn(
+        `⚠️ Repair would remove ${Math.round(
+          removalPercent
+        )}% of the index (limit ${
+          config.reconciliation.maxRemovalPercent
+        }%), not removing. Check the Contentstack environment and locales, then repair with --force.`
+      );
+      result.refused = true;
+    } else {
+      for (const entryId of report.extra) {
+        await supabaseService.deleteContentEntry(entryId);
+        await embeddingMigrationService.mirrorDelete(entryId);
+        result.removed++;
+      }
+
+      if (result.removed > 0) {
+        await supabaseService.bumpIndexVersion();
+      }
+    }
+
+    // Re-index by content type and locale, 100 entries at a time
+    const groups = new Map();
+    for (const entryId of [...report.missing, ...report.stale]) {
+      const { contentType, uid, locale } = live.get(entryId);
+      const key = `${contentType}:${locale}`;
+      if (!groups.has(key)) {
+        groups.set(key, { contentType, locale, uids: [] });
+      }
+      groups.get(key).uids.push(uid);
+    }
+
+    for (const { contentType, locale, uids } of groups.values()) {
+      for (let i = 0; i < uids.length; i += 100) {
+        const batch = uids.slice(i, i + 100);
+
+        try {
+          const entries = await webhookEventService.fetchEntries(
+            contentType,
+            batch,
+            locale
+          );
+          if (entries.length > 0) {
+            await webhookEventService.indexEntries(
+              entries.map((entry) =>
+                contentstackService.transformEntry(entry, contentType, locale)
+              )
+            );
+          }
+          result.reindexed += entries.length;
+          result.failed += batch.length - entries.length;
+        } catch (error) {
+          // Leave them for the next run rather than abandoning the repair
+          logger.warn(
+            `Failed to re-index ${batch.length} ${contentType} entries (${locale}):`,
+            error.message
+          );
+          result.failed += batch.length;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Last report and whether a reconciliation is running
+   */
+  getStatus() {
+    const report = this.lastReport && {
+      ...this.lastReport,
+      missing: this.lastReport.missing.length,
+      extra: this.lastReport.extra.length,
+      stale: this.lastReport.stale.length,
+    };
+
+    return {
+      isRunning: this.isRunning,
+      lastReport: report,
+    };
+  }
+}
+
+// Create singleton instance
+const reconcileIndexJob = new ReconcileIndexJob();
+
+// If this file is run directly, reconcile once and print the report
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // --content-types limits the comparison to some content types
+  const contentTypesIndex = args.indexOf("--content-types");
+  const contentTypes =
+    contentTypesIndex !== -1 && contentTypesIndex + 1 < args.length
+      ? args[contentTypesIndex + 1].split(",")
+      : null;
+
+  reconcileIndexJob
+    .run({
+      repair: args.includes("--repair"),
+      force: args.includes("--force"),
+      contentTypes,
+    })
+    .then((report) => {
+      if (!report) {
+        console.log("Reconciliation skipped, a sync is running");
+      } else if (args.includes("--json")) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(
+          `Live: ${report.live}, indexed: ${report.indexed}, missing: ${report.missing.length}, extra: ${report.extra.length}, stale: ${report.stale.length}`
+        );
+        if (report.repair) {
+          console.log("Repair:", report.repair);
+        } else if (
+          report.missing.length + report.extra.length + report.stale.length >
+          0
+        ) {
+          console.log("Run with --repair to fix the differences");
+        }
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Index reconciliation failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = reconcileIndexJob;
@@ -1,7 +1,36 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const contentstackService = require("../services/contentstack");
 const embeddingsService = require("../services/embeddings");
+const embeddingMigrationService = require("../services/embeddingMigration");
 const supabaseService = require("../services/supabase");
+const contentTypeConfigService = require("../services/contentTypeConfigs");
+const jobLockService = require("../services/jobLocks");
+const config = require("../utils/config");
 const logger = require("../utils/logger");
+const { getNextRun } = require("../utils/cron");
+const { parseDocumentId } = require("../utils/documentIds");
+
+// Cluster-wide lock held by the running sync, see services/jobLocks
+const SYNC_LOCK = "content-sync";
+
+// Entries embedded and written at a time. Progress is reported and a
+// cancelled sync stops between batches.
+const INDEX_BATCH_SIZE = 50;
+
+// Progress is saved to sync_runs at most this often, which is also how soon
+// a cancellation requested through another instance is noticed
+const PROGRESS_SAVE_INTERVAL_MS = 5000;
+
+// Counts recorded per sync run, in total and per content type
+const RUN_COUNTS = [
+  "fetched",
+  "removed",
+  "embedded",
+  "skipped",
+  "upserted",
+  "failed",
+];
 
 class ContentSyncJob {
   constructor() {
@@ -11,63 +40,149 @@ class ContentSyncJob {
       totalRuns: 0,
       successfulRuns: 0,
       lastRunStatus: null,
+      lastRunMode: null,
+      lastRunEmbeddings: null,
+      lastRunId: null,
       lastError: null,
     };
+    // Run being recorded to sync_runs
+    this.currentRun = null;
+    // Emits "progress" and "finished" with the run, as its sync_runs row
+    this.events = new EventEmitter();
+    // One listener per streaming client
+    this.events.setMaxListeners(0);
+    // Lease on the lock while this process syncs
+    this.lockName = SYNC_LOCK;
+    this.lease = null;
   }
 
   /**
-   * Main sync function
+   * Start a sync in the background. Runs an incremental sync from the stored
+   * Sync API tokens when they exist, otherwise (or with `full: true`) a full
+   * rebuild; `contentTypes` re-indexes only those content types, in
+   * `locales` when given. `trigger` records what started the run (schedule,
+   * api, cli, admin or webhook).
+   *
+   * Resolves once the sync holds the lock, to `{ id, done }`: the sync_runs
+   * ID and a promise of the run status. Resolves to null when a sync is
+   * running in this process or on another instance.
    */
-  async run() {
+  async start(options = {}) {
+    const {
+      full = false,
+      contentTypes = null,
+      locales: scopeLocales = null,
+      trigger = "api",
+    } = options;
+
     if (this.isRunning) {
       logger.warn("🔄 Sync job already running, skipping this execution");
-      return;
+      return null;
     }
 
+    // Set before taking the lock, so a second call in this process skips
+    // instead of waiting on the database
     this.isRunning = true;
-    const startTime = Date.now();
 
     try {
-      logger.info("🚀 Starting content sync job...");
-
-      this.syncStats.totalRuns++;
+      if (!(await this.acquireLock())) {
+        logger.warn(
+          "🔄 Sync job running on another instance, skipping this execution"
+        );
+        this.isRunning = false;
+        return null;
+      }
 
-      // Step 1: Fetch content from Contentstack
-      const contentEntries = await this.fetchContentFromContentstack();
+      // Runs left running by crashed instances, now that none can be running
+      await this.abandonStaleRuns();
 
-      if (contentEntries.length === 0) {
-        logger.warn("⚠️ No content entries found in Contentstack");
-        this.syncStats.lastRunStatus = "no_content";
-        return;
-      }
+      // Another instance may have cut over to a new embedding model
+      await embeddingMigrationService.syncLiveModel();
 
-      // Step 2: Process entries and generate embeddings
-      const processedEntries = await this.processEntriesWithEmbeddings(
-        contentEntries
+      const locales = (contentTypes && scopeLocales) || this.getLocales();
+      await this.startRunRecord(
+        trigger,
+        contentTypes ? "selective" : null,
+        contentTypes ? { locales, contentTypes } : { locales, full }
       );
+    } catch (error) {
+      await this.releaseLock();
+      this.isRunning = false;
+      throw error;
+    }
 
-      if (processedEntries.length === 0) {
-        logger.warn("⚠️ No entries could be processed with embeddings");
-        this.syncStats.lastRunStatus = "no_embeddings";
-        return;
-      }
+    const { id } = this.currentRun;
+    const done = (
+      contentTypes
+        ? this.runSelective(contentTypes, this.currentRun.scope.locales)
+        : this.runSync(full)
+    ).finally(async () => {
+      await this.releaseLock();
+      this.isRunning = false;
+    });
+
+    return { id, done };
+  }
+
+  /**
+   * Main sync function: start a sync and wait for it to finish. Resolves to
+   * the run status, or null when skipped because a sync is already running.
+   */
+  async run(options = {}) {
+    const job = await this.start(options);
+    return job ? job.done : null;
+  }
 
-      // Step 3: Sync to Supabase
-      await this.syncToSupabase(processedEntries);
+  /**
+   * Incremental sync or full rebuild, once the lock is held
+   */
+  async runSync(full) {
+    const startTime = Date.now();
+
+    try {
+      this.syncStats.totalRuns++;
+      this.resetEmbeddingStats();
+      await this.loadContentTypeConfigs();
+
+      const locales = this.getLocales();
+      const syncStates = full ? null : await this.loadSyncStates(locales);
+
+      if (syncStates) {
+        logger.info("🚀 Starting incremental content sync job...");
+        this.syncStats.lastRunMode = "incremental";
+        this.currentRun.mode = "incremental";
+        await this.runIncremental(syncStates);
+      } else {
+        logger.info("🚀 Starting full content sync job...");
+        this.syncStats.lastRunMode = "full";
+        this.currentRun.mode = "full";
+        const completed = await this.runFull(locales);
+        if (!completed) {
+          await this.finishRunRecord(this.syncStats.lastRunStatus);
+          return this.syncStats.lastRunStatus;
+        }
+      }
 
       // Update sync statistics
       this.syncStats.successfulRuns++;
       this.syncStats.lastRunStatus = "success";
       this.syncStats.lastError = null;
       this.lastSyncTime = new Date();
+      await this.finishRunRecord("success");
 
       const duration = Date.now() - startTime;
       logger.info(`✅ Content sync completed successfully in ${duration}ms`, {
-        totalEntries: contentEntries.length,
-        processedEntries: processedEntries.length,
+        mode: this.syncStats.lastRunMode,
+        embeddings: this.syncStats.lastRunEmbeddings,
         duration: `${duration}ms`,
       });
+
+      return "success";
     } catch (error) {
+      if (this.isCancelled()) {
+        return this.finishCancelled();
+      }
+
       // Enhanced error handling for new SDK error formats
       const errorCategory = this.categorizeContentstackError(error);
 
@@ -91,12 +206,708 @@ class ContentSyncJob {
         logger.debug("Original error details:", error.originalError);
       }
 
+      await this.finishRunRecord("error", error, errorCategory);
       throw error;
-    } finally {
-      this.isRunning = false;
     }
   }
 
+  /**
+   * Refetch and re-embed every entry, then start Sync API tracking from the
+   * moment the rebuild began. Returns false when nothing could be synced.
+   */
+  async runFull(locales) {
+    const startedAt = new Date().toISOString();
+
+    // Step 1: Fetch content from Contentstack
+    const contentEntries = await this.fetchContentFromContentstack();
+    this.countRun(
+      "fetched",
+      contentEntries.map((entry) => entry.content_type)
+    );
+
+    if (contentEntries.length === 0) {
+      logger.warn("⚠️ No content entries found in Contentstack");
+      this.syncStats.lastRunStatus = "no_content";
+      await this.initializeSyncTokens(locales, startedAt);
+      return false;
+    }
+
+    // Step 2: Generate embeddings and sync to Supabase, batch by batch
+    const processedChunks = await this.indexInBatches(contentEntries);
+
+    if (processedChunks === 0) {
+      logger.warn("⚠️ No entries could be processed with embeddings");
+      this.syncStats.lastRunStatus = "no_embeddings";
+      return false;
+    }
+
+    // Step 3: Track further changes from the start of this rebuild
+    await this.initializeSyncTokens(locales, startedAt);
+
+    logger.info("📊 Full sync summary", {
+      totalEntries: contentEntries.length,
+      processedChunks,
+    });
+
+    return true;
+  }
+
+  /**
+   * Apply only the entries published, unpublished or deleted since the last
+   * run, using the stored Sync API token of each locale
+   */
+  async runIncremental(syncStates) {
+    const summary = {
+      published: 0,
+      referencing: 0,
+      removed: 0,
+      contentTypesRemoved: 0,
+    };
+
+    for (const [locale, state] of syncStates) {
+      this.checkCancelled();
+      await this.startPhase("fetching", null);
+      await this.reportProgress({ locale });
+
+      const { items, syncToken } = await contentstackService.syncDelta({
+        syncToken: state.sync_token,
+      });
+
+      const { published, removedIds, removedContentTypes } =
+        this.groupSyncItems(items, locale);
+
+      logger.info(`📥 Sync delta for ${locale}`, {
+        items: items.length,
+        published: published.length,
+        removed: removedIds.length,
+        contentTypesRemoved: removedContentTypes.length,
+      });
+
+      let referencing = 0;
+      if (published.length > 0) {
+        const expanded = await this.expandReferences(published, locale);
+        referencing = expanded.referencing;
+        this.countRun(
+          "fetched",
+          expanded.entries.map((entry) => entry.content_type)
+        );
+
+        await this.indexInBatches(expanded.entries);
+      }
+
+      for (const entryId of removedIds) {
+        await supabaseService.deleteContentEntry(entryId);
+        await embeddingMigrationService.mirrorDelete(entryId);
+      }
+      this.countRun(
+        "removed",
+        removedIds.map((entryId) => parseDocumentId(entryId)?.contentType)
+      );
+
+      for (const contentTypeUid of removedContentTypes) {
+        await supabaseService.deleteContentEntriesByType(contentTypeUid);
+        await embeddingMigrationService.mirrorDeleteContentType(contentTypeUid);
+      }
+
+      if (removedIds.length > 0 || removedContentTypes.length > 0) {
+        await supabaseService.bumpIndexVersion();
+      }
+
+      // Only advance the token once the delta has been applied
+      this.checkLock();
+      await supabaseService.saveSyncState(this.getSyncScope(locale), syncToken);
+
+      summary.published += published.length;
+      summary.referencing += referencing;
+      summary.removed += removedIds.length;
+      summary.contentTypesRemoved += removedContentTypes.length;
+    }
+
+    logger.info("📊 Incremental sync summary", summary);
+
+    return summary;
+  }
+
+  /**
+   * Embed entries and write them to Supabase (and to the shadow index of a
+   * model migration), a batch of one content type and locale at a time.
+   * Returns the number of chunk rows written.
+   */
+  async indexInBatches(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = `${entry.content_type}:${entry.locale}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    await this.startPhase("indexing", entries.length);
+    let batch = 0;
+    let processed = 0;
+    let chunks = 0;
+
+    for (const groupEntries of groups.values()) {
+      for (let i = 0; i < groupEntries.length; i += INDEX_BATCH_SIZE) {
+        this.checkCancelled();
+
+        const batchEntries = groupEntries.slice(i, i + INDEX_BATCH_SIZE);
+        batch++;
+        await this.reportProgress({
+          contentType: batchEntries[0].content_type,
+          locale: batchEntries[0].locale,
+          batch,
+        });
+
+        const processedEntries = await this.processEntriesWithEmbeddings(
+          batchEntries
+        );
+        await this.syncToSupabase(processedEntries);
+        await embeddingMigrationService.mirrorEntries(batchEntries);
+
+        processed += batchEntries.length;
+        chunks += processedEntries.length;
+        await this.reportProgress({ entriesProcessed: processed });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Reduce Sync API items to the latest state of each entry
+   */
+  groupSyncItems(items, defaultLocale) {
+    const latestByEntry = new Map();
+    const removedContentTypes = new Set();
+
+    const sortedItems = [...items].sort(
+      (a, b) => new Date(a.event_at || 0) - new Date(b.event_at || 0)
+    );
+
+    for (const item of sortedItems) {
+      if (item.type === "content_type_deleted") {
+        removedContentTypes.add(item.content_type_uid);
+        continue;
+      }
+
+      if (!item.type || !item.type.startsWith("entry_") || !item.data?.uid) {
+        continue;
+      }
+
+      const locale = item.data.locale || defaultLocale;
+      latestByEntry.set(`${item.content_type_uid}:${item.data.uid}:${locale}`, {
+        ...item,
+        locale,
+      });
+    }
+
+    const published = [];
+    const removedIds = [];
+
+    for (const item of latestByEntry.values()) {
+      if (removedContentTypes.has(item.content_type_uid)) {
+        continue;
+      }
+
+      const transformedEntry = contentstackService.transformEntry(
+        item.data,
+        item.content_type_uid,
+        item.locale
+      );
+
+      if (item.type === "entry_published") {
+        published.push(transformedEntry);
+      } else {
+        // entry_unpublished and entry_deleted
+        removedIds.push(transformedEntry.id);
+      }
+    }
+
+    return {
+      published,
+      removedIds,
+      removedContentTypes: Array.from(removedContentTypes),
+    };
+  }
+
+  /**
+   * Sync API items only carry reference uids. Refetch published entries with
+   * their configured references resolved and add the entries that reference
+   * them, whose indexed text includes the republished content.
+   */
+  async expandReferences(published, locale) {
+    const byContentType = new Map();
+    for (const entry of published) {
+      if (!byContentType.has(entry.content_type)) {
+        byContentType.set(entry.content_type, []);
+      }
+      byContentType.get(entry.content_type).push(entry.raw_data);
+    }
+
+    const entries = [];
+    for (const [contentType, rawEntries] of byContentType) {
+      const resolved = await contentstackService.resolveReferences(
+        contentType,
+        rawEntries,
+        locale
+      );
+      entries.push(
+        ...resolved.map((entry) =>
+          contentstackService.transformEntry(entry, contentType, locale)
+        )
+      );
+    }
+
+    const indexed = new Set(entries.map((entry) => entry.id));
+    const groups = await contentstackService.getReferencingEntries(
+      published.map((entry) => entry.raw_data.uid),
+      locale
+    );
+    let referencing = 0;
+
+    for (const group of groups) {
+      for (const entry of group.entries) {
+        const transformedEntry = contentstackService.transformEntry(
+          entry,
+          group.contentType,
+          locale
+        );
+        if (!indexed.has(transformedEntry.id)) {
+          indexed.add(transformedEntry.id);
+          entries.push(transformedEntry);
+          referencing++;
+        }
+      }
+    }
+
+    return { entries, referencing };
+  }
+
+  /**
+   * Load stored sync tokens for every locale. Returns null if any locale has
+   * never been synced, which requires a full rebuild.
+   */
+  async loadSyncStates(locales) {
+    const states = new Map();
+
+    for (const locale of locales) {
+      const state = await supabaseService.getSyncState(
+        this.getSyncScope(locale)
+      );
+
+      if (!state || !state.sync_token) {
+        logger.info(
+          `No sync token stored for ${locale}, falling back to a full sync`
+        );
+        return null;
+      }
+
+      states.set(locale, state);
+    }
+
+    return states;
+  }
+
+  /**
+   * Start Sync API tracking for each locale from the given point in time
+   */
+  async initializeSyncTokens(locales, startFrom) {
+    for (const locale of locales) {
+      try {
+        const { syncToken } = await contentstackService.syncDelta({
+          init: true,
+          locale,
+          startFrom,
+        });
+        await supabaseService.saveSyncState(
+          this.getSyncScope(locale),
+          syncToken
+        );
+      } catch (error) {
+        // The next run will simply be another full sync
+        logger.warn(`Failed to initialize sync token for ${locale}:`, {
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Pick up content type configurations changed through the admin API,
+   * possibly by another process. The current ones are kept on failure.
+   */
+  async loadContentTypeConfigs() {
+    try {
+      await contentTypeConfigService.load();
+    } catch (error) {
+      logger.warn(
+        "Failed to load stored content type configs, using current ones:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Reset the per-run embedding counters (new, reembedded, skipped)
+   */
+  resetEmbeddingStats() {
+    this.syncStats.lastRunEmbeddings = { new: 0, reembedded: 0, skipped: 0 };
+  }
+
+  /**
+   * Start recording a run to sync_runs. Counts and progress are kept in
+   * memory and saved as the run goes. Failing to record never fails the sync
+   * itself.
+   */
+  async startRunRecord(trigger, mode, scope) {
+    this.currentRun = {
+      id: crypto.randomUUID(),
+      recorded: false,
+      // Set once another instance marked the stored run abandoned
+      settled: false,
+      trigger,
+      mode,
+      scope,
+      startedAt: new Date(),
+      holder: this.lease ? this.lease.holder : null,
+      contentTypes: {},
+      progress: {},
+      phaseStartedAt: Date.now(),
+      progressSavedAt: Date.now(),
+      controller: new AbortController(),
+    };
+
+    try {
+      await supabaseService.createSyncRun(
+        this.toRunRecord(this.currentRun, "running")
+      );
+      this.currentRun.recorded = true;
+    } catch (error) {
+      logger.warn("Failed to record sync run start:", error.message);
+    }
+  }
+
+  /**
+   * The run in progress in this process, shaped like its sync_runs row.
+   * Null for other runs.
+   */
+  getRun(id) {
+    const run = this.currentRun;
+    return run && run.id === id ? this.toRunRecord(run, "running") : null;
+  }
+
+  toRunRecord(run, status, error = null, errorCategory = null) {
+    const totals = Object.fromEntries(RUN_COUNTS.map((name) => [name, 0]));
+    for (const counts of Object.values(run.contentTypes)) {
+      for (const name of RUN_COUNTS) {
+        totals[name] += counts[name];
+      }
+    }
+
+    const finishedAt = status === "running" ? null : new Date();
+
+    return {
+      id: run.id,
+      trigger: run.trigger,
+      mode: run.mode,
+      scope: run.scope,
+      status,
+      started_at: run.startedAt.toISOString(),
+      finished_at: finishedAt && finishedAt.toISOString(),
+      duration_ms: finishedAt && finishedAt - run.startedAt,
+      ...totals,
+      error_category: errorCategory,
+      error: error ? error.message : null,
+      content_types: run.contentTypes,
+      progress: run.progress,
+      holder: run.holder,
+      ...(run.cancelRequestedAt && {
+        cancel_requested_at: run.cancelRequestedAt,
+      }),
+    };
+  }
+
+  /**
+   * Settle a sync_runs row read back from the database. A run still marked
+   * running whose lock holder no longer holds the sync lock was abandoned
+   * by a crashed instance, and is marked as failed. Rows from before
+   * holders were recorded are only settled once the lock is free.
+   * @param {Object} syncRun - sync_runs row, or null
+   * @param {Object|null} lock - Current sync lock, looked up when omitted
+   * @returns {Promise<Object|null>} - The row as it now stands
+   */
+  async settleRun(syncRun, lock) {
+    if (!syncRun || syncRun.status !== "running" || this.getRun(syncRun.id)) {
+      return syncRun;
+    }
+
+    const currentLock = lock === undefined ? await this.getLock() : lock;
+    if (
+      currentLock &&
+      (!syncRun.holder || currentLock.holder === syncRun.holder)
+    ) {
+      return syncRun;
+    }
+
+    return this.abandonRun(syncRun);
+  }
+
+  /**
+   * Mark every stored running run as abandoned. Called with the sync lock
+   * held, when no other sync can be running.
+   */
+  async abandonStaleRuns() {
+    try {
+      const syncRuns = await supabaseService.listSyncRuns(100, "running");
+      for (const syncRun of syncRuns) {
+        await this.abandonRun(syncRun);
+      }
+    } catch (error) {
+      logger.warn("Failed to settle abandoned sync runs:", error.message);
+    }
+  }
+
+  async abandonRun(syncRun) {
+    const finishedAt = new Date();
+    logger.warn(
+      `⚠️ Sync run ${syncRun.id} was abandoned by its instance, marking it failed`
+    );
+
+    try {
+      return await supabaseService.updateSyncRun(syncRun.id, {
+        status: "error",
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - new Date(syncRun.started_at),
+        error_category: "abandoned",
+        error: "The instance running this sync stopped before it finished",
+      });
+    } catch (error) {
+      logger.warn(
+        `Failed to mark sync run ${syncRun.id} abandoned:`,
+        error.message
+      );
+      return syncRun;
+    }
+  }
+
+  /**
+   * Begin a phase of the current run: "fetching" from Contentstack or
+   * "indexing" batches. entriesTotal is null when not known upfront.
+   */
+  async startPhase(phase, entriesTotal) {
+    if (!this.currentRun) {
+      return;
+    }
+
+    this.currentRun.phaseStartedAt = Date.now();
+    this.currentRun.progress = {
+      phase,
+      contentType: null,
+      locale: null,
+      batch: 0,
+      entriesProcessed: 0,
+      entriesTotal,
+      eta: null,
+    };
+    await this.reportProgress({});
+  }
+
+  /**
+   * Update the progress of the current run and tell listeners. It is saved
+   * every few seconds, which also picks up cancellations requested through
+   * another instance.
+   */
+  async reportProgress(changes) {
+    const run = this.currentRun;
+    if (!run) {
+      return;
+    }
+
+    Object.assign(run.progress, changes, {
+      updatedAt: new Date().toISOString(),
+    });
+    run.progress.eta = this.estimatePhaseEnd(run);
+    this.events.emit("progress", this.toRunRecord(run, "running"));
+
+    if (
+      !run.recorded ||
+      Date.now() - run.progressSavedAt < PROGRESS_SAVE_INTERVAL_MS
+    ) {
+      return;
+    }
+    run.progressSavedAt = Date.now();
+
+    try {
+      const { id, ...record } = this.toRunRecord(run, "running");
+      const saved = await supabaseService.updateRunningSyncRun(id, record);
+      if (!saved) {
+        // Settled by another instance, which took it for abandoned
+        logger.warn(
+          `⚠️ Sync run ${id} is no longer running in sync_runs, stopping it`
+        );
+        run.settled = true;
+        this.cancel(id);
+      } else if (saved.cancel_requested_at) {
+        this.cancel(id);
+      }
+    } catch (error) {
+      logger.warn("Failed to save sync progress:", error.message);
+    }
+  }
+
+  /**
+   * Expected end of the current phase from its rate so far, when its total
+   * is known
+   */
+  estimatePhaseEnd(run) {
+    const { entriesProcessed, entriesTotal } = run.progress;
+    if (!entriesTotal || !entriesProcessed) {
+      return null;
+    }
+
+    const elapsed = Date.now() - run.phaseStartedAt;
+    const remaining = Math.max(0, entriesTotal - entriesProcessed);
+
+    return new Date(
+      Date.now() + (elapsed / entriesProcessed) * remaining
+    ).toISOString();
+  }
+
+  /**
+   * Cancel the run in progress in this process. It stops before its next
+   * batch. Returns false for other runs.
+   */
+  cancel(id) {
+    const run = this.currentRun;
+    if (!run || run.id !== id) {
+      return false;
+    }
+
+    if (!run.controller.signal.aborted) {
+      logger.info(`⏹️ Cancelling sync run ${id}`);
+      run.cancelRequestedAt = new Date().toISOString();
+      run.controller.abort();
+    }
+
+    return true;
+  }
+
+  isCancelled() {
+    return Boolean(
+      this.currentRun && this.currentRun.controller.signal.aborted
+    );
+  }
+
+  /**
+   * Stop between batches once the run has been cancelled
+   */
+  checkCancelled() {
+    if (this.isCancelled()) {
+      throw new Error("Sync cancelled");
+    }
+  }
+
+  async finishCancelled() {
+    this.syncStats.lastRunStatus = "cancelled";
+    logger.warn("⏹️ Content sync cancelled, entries indexed so far are kept");
+    await this.finishRunRecord("cancelled");
+    return "cancelled";
+  }
+
+  /**
+   * Add one to a count of the current run for each content type listed
+   */
+  countRun(count, contentTypes) {
+    if (!this.currentRun) {
+      return;
+    }
+
+    for (const contentType of contentTypes) {
+      const key = contentType || "unknown";
+      if (!this.currentRun.contentTypes[key]) {
+        this.currentRun.contentTypes[key] = Object.fromEntries(
+          RUN_COUNTS.map((name) => [name, 0])
+        );
+      }
+      this.currentRun.contentTypes[key][count]++;
+    }
+  }
+
+  /**
+   * Count chunks embedded anew or reusing their stored vector, and entries
+   * that produced no chunk at all
+   */
+  countEmbeddings(entries, processedEntries) {
+    const processedIds = new Set(
+      processedEntries.map((row) => row.parent_id || row.id)
+    );
+
+    this.countRun(
+      "embedded",
+      processedEntries
+        .filter((row) => ["new", "reembedded"].includes(row.embedding_status))
+        .map((row) => row.content_type)
+    );
+    this.countRun(
+      "skipped",
+      processedEntries
+        .filter((row) => row.embedding_status === "skipped")
+        .map((row) => row.content_type)
+    );
+    this.countRun(
+      "failed",
+      entries
+        .filter((entry) => !processedIds.has(entry.id))
+        .map((entry) => entry.content_type)
+    );
+  }
+
+  /**
+   * Write the outcome and counts of the current run to sync_runs
+   */
+  async finishRunRecord(status, error = null, errorCategory = null) {
+    const run = this.currentRun;
+    if (!run) {
+      return;
+    }
+    this.currentRun = null;
+    this.syncStats.lastRunId = run.id;
+
+    const { id, ...record } = this.toRunRecord(
+      run,
+      status,
+      error,
+      errorCategory
+    );
+
+    // A run settled elsewhere keeps the outcome recorded there
+    if (run.recorded && !run.settled) {
+      try {
+        await supabaseService.updateRunningSyncRun(id, record);
+      } catch (updateError) {
+        logger.warn("Failed to record sync run outcome:", updateError.message);
+      }
+    }
+
+    this.events.emit("finished", { id, ...record });
+  }
+
+  /**
+   * Sync state scope key for a locale
+   */
+  getSyncScope(locale) {
+    return `entries:${locale}`;
+  }
+
+  /**
+   * Locales to sync (configured or default en-us)
+   */
+  getLocales() {
+    return config.contentstack.locales;
+  }
+
   /**
    * Fetch content from Contentstack with enhanced error handling and validation
    */
@@ -105,14 +916,26 @@ class ContentSyncJob {
       logger.info("📥 Fetching content from Contentstack...");
 
       // Use configured locales or default to en-us
-      const locales = process.env.CONTENTSTACK_LOCALES
-        ? process.env.CONTENTSTACK_LOCALES.split(",").map((l) => l.trim())
-        : ["en-us"];
+      const locales = this.getLocales();
 
       logger.debug("Using locales for sync:", { locales });
 
       // Fetch content with the updated SDK patterns
-      const contentEntries = await contentstackService.getAllEntries(locales);
+      await this.startPhase("fetching", null);
+      const contentEntries = await contentstackService.getAllEntries(
+        locales,
+        50,
+        {
+          signal: this.currentRun?.controller.signal,
+          onBatch: ({ contentType, locale, batch, fetched }) =>
+            this.reportProgress({
+              contentType,
+              locale,
+              batch,
+              entriesProcessed: fetched,
+            }),
+        }
+      );
 
       // Validate the response before processing
       if (!this.validateContentResponse(contentEntries)) {
@@ -134,6 +957,10 @@ class ContentSyncJob {
 
       return contentEntries;
     } catch (error) {
+      if (this.isCancelled()) {
+        throw error;
+      }
+
       // Enhanced error handling for new SDK error formats
       const errorCategory = this.categorizeContentstackError(error);
 
@@ -198,11 +1025,23 @@ class ContentSyncJob {
         );
       }
 
+      // Track how many chunks reused their stored vector
+      const embeddingSummary =
+        embeddingsService.summarizeEmbeddingStatus(processedEntries);
+      const runEmbeddings = this.syncStats.lastRunEmbeddings;
+      if (runEmbeddings) {
+        for (const [status, count] of Object.entries(embeddingSummary)) {
+          runEmbeddings[status] += count;
+        }
+      }
+      this.countEmbeddings(entries, processedEntries);
+
       logger.info(
         `✅ Successfully processed ${processedEntries.length}/${entries.length} entries with embeddings`,
         {
           successRate: `${(successRate * 100).toFixed(1)}%`,
           failedEntries: entries.length - processedEntries.length,
+          ...embeddingSummary,
         }
       );
 
@@ -248,6 +1087,7 @@ class ContentSyncJob {
         ) {
           invalidEntries.push({
             entry: entry.id || "unknown",
+            contentType: entry.content_type || "unknown",
             reason: "Missing required fields",
             missingFields: [
               !entry.id && "id",
@@ -268,6 +1108,14 @@ class ContentSyncJob {
           locale: entry.locale || "en-us",
           updated_at: entry.updated_at || new Date().toISOString(),
           embedding: entry.embedding,
+          parent_id: entry.parent_id || entry.id,
+          chunk_index: entry.chunk_index || 0,
+          passage: entry.passage || null,
+          content_hash: entry.content_hash || null,
+          embedding_model: entry.embedding_model || null,
+          tags: entry.tags || [],
+          category: entry.category || null,
+          published_at: entry.published_at || null,
         });
       }
 
@@ -282,25 +1130,45 @@ class ContentSyncJob {
         );
       }
 
+      this.countRun(
+        "failed",
+        invalidEntries.map((invalid) => invalid.contentType)
+      );
+
       if (supabaseEntries.length === 0) {
         throw new Error("No valid entries to sync after validation");
       }
 
+      this.checkLock();
+
       // Batch upsert to Supabase
       const result = await supabaseService.batchUpsertContentEntries(
         supabaseEntries
       );
+      this.countRun(
+        "upserted",
+        supabaseEntries.map((entry) => entry.content_type)
+      );
 
       // Validate sync result
       if (!result || typeof result !== "object") {
         logger.warn("Supabase sync returned unexpected result format:", result);
       }
 
+      // Drop chunks left over from longer previous versions of these entries
+      const prunedChunks = await supabaseService.pruneEntryChunks(
+        supabaseEntries
+      );
+
+      // Invalidate cached search results
+      await supabaseService.bumpIndexVersion();
+
       logger.info(
         `✅ Successfully synced ${supabaseEntries.length} entries to Supabase`,
         {
           validEntries: supabaseEntries.length,
           invalidEntries: invalidEntries.length,
+          prunedChunks,
           totalProcessed: processedEntries.length,
           successRate: `${(
             (supabaseEntries.length / processedEntries.length) *
@@ -323,28 +1191,40 @@ class ContentSyncJob {
   }
 
   /**
-   * Sync specific content types only
+   * Sync specific content types only and wait for it to finish
    */
-  async syncContentTypes(contentTypes) {
+  async syncContentTypes(contentTypes, options = {}) {
     if (this.isRunning) {
       throw new Error("Sync job already running");
     }
 
-    this.isRunning = true;
+    const job = await this.start({ ...options, contentTypes });
+    if (!job) {
+      throw new Error("Sync job already running on another instance");
+    }
+
+    return job.done;
+  }
+
+  /**
+   * Re-index some content types in the given locales, once the lock is held
+   */
+  async runSelective(contentTypes, locales = this.getLocales()) {
     const startTime = Date.now();
 
     try {
+      this.resetEmbeddingStats();
+
+      await this.loadContentTypeConfigs();
       logger.info(
         `🎯 Starting selective sync for content types: ${contentTypes.join(
           ", "
         )}`
       );
 
-      const locales = process.env.CONTENTSTACK_LOCALES
-        ? process.env.CONTENTSTACK_LOCALES.split(",")
-        : ["en-us"];
-
       let allEntries = [];
+      let batch = 0;
+      await this.startPhase("fetching", null);
 
       // Fetch entries for each specified content type
       for (const contentType of contentTypes) {
@@ -356,6 +1236,15 @@ class ContentSyncJob {
           let hasMore = true;
 
           while (hasMore) {
+            this.checkCancelled();
+            batch++;
+            await this.reportProgress({
+              contentType,
+              locale,
+              batch,
+              entriesProcessed: allEntries.length,
+            });
+
             try {
               const result = await contentstackService.getEntriesByContentType(
                 contentType,
@@ -374,6 +1263,10 @@ class ContentSyncJob {
                 contentstackService.transformEntry(entry, contentType, locale)
               );
               allEntries.push(...transformedEntries);
+              this.countRun(
+                "fetched",
+                transformedEntries.map(() => contentType)
+              );
 
               skip += batchSize;
               hasMore = entries.length === batchSize;
@@ -395,24 +1288,28 @@ class ContentSyncJob {
 
       if (allEntries.length === 0) {
         logger.warn("No entries found for specified content types");
-        return;
+        await this.finishRunRecord("no_content");
+        return "no_content";
       }
 
-      // Process with embeddings
-      const processedEntries = await this.processEntriesWithEmbeddings(
-        allEntries
-      );
-
-      // Sync to Supabase
-      await this.syncToSupabase(processedEntries);
+      // Process with embeddings and sync to Supabase
+      const processedChunks = await this.indexInBatches(allEntries);
+      await this.finishRunRecord("success");
 
       const duration = Date.now() - startTime;
       logger.info(`✅ Selective sync completed in ${duration}ms`, {
         contentTypes,
         totalEntries: allEntries.length,
-        processedEntries: processedEntries.length,
+        processedEntries: processedChunks,
+        embeddings: this.syncStats.lastRunEmbeddings,
       });
+
+      return "success";
     } catch (error) {
+      if (this.isCancelled()) {
+        return this.finishCancelled();
+      }
+
       const errorCategory = this.categorizeContentstackError(error);
       logger.error("Selective sync failed:", {
         error: error.message,
@@ -420,18 +1317,54 @@ class ContentSyncJob {
         contentTypes,
         duration: Date.now() - startTime,
       });
+      await this.finishRunRecord("error", error, errorCategory);
       throw error;
-    } finally {
-      this.isRunning = false;
     }
   }
 
+  /**
+   * Take the cluster-wide sync lock. Returns false while another instance
+   * holds it.
+   */
+  async acquireLock() {
+    this.lease = await jobLockService.acquire(
+      SYNC_LOCK,
+      config.sync.lockLeaseSeconds
+    );
+    return Boolean(this.lease);
+  }
+
+  async releaseLock() {
+    if (this.lease) {
+      await jobLockService.release(this.lease);
+      this.lease = null;
+    }
+  }
+
+  /**
+   * Stop before writing once the lease expired and another instance may be
+   * syncing
+   */
+  checkLock() {
+    if (this.lease && this.lease.lost) {
+      throw new Error("Sync lock lost to another instance");
+    }
+  }
+
+  /**
+   * Holder of the sync lock in any instance, null when no sync is running
+   */
+  async getLock() {
+    return jobLockService.getLease(SYNC_LOCK);
+  }
+
   /**
    * Get sync job status and statistics
    */
   getStatus() {
     return {
       isRunning: this.isRunning,
+      currentRunId: this.currentRun ? this.currentRun.id : null,
       lastSyncTime: this.lastSyncTime,
       stats: this.syncStats,
       nextScheduledRun: this.getNextScheduledRun(),
@@ -439,36 +1372,30 @@ class ContentSyncJob {
   }
 
   /**
-   * Get next scheduled run time (assuming hourly schedule)
+   * Next time the sync cron schedule fires, null if it never does
    */
   getNextScheduledRun() {
-    if (!this.lastSyncTime) {
-      return "Next hour";
+    try {
+      const nextRun = getNextRun(config.sync.schedule);
+      return nextRun ? nextRun.toISOString() : null;
+    } catch (error) {
+      logger.warn("Failed to compute the next scheduled sync:", error.message);
+      return null;
     }
-
-    const nextRun = new Date(this.lastSyncTime);
-    nextRun.setHours(nextRun.getHours() + 1);
-
-    return nextRun.toISOString();
   }
 
   /**
-   * Manual trigger for sync job (for admin endpoints)
+   * Manual trigger for sync job (for admin endpoints). Resolves to null when
+   * a sync is already running here or on another instance.
    */
   async triggerManualSync(options = {}) {
     try {
-      const { contentTypes, force = false } = options;
-
-      if (this.isRunning && !force) {
-        throw new Error(
-          "Sync job is already running. Use force=true to override."
-        );
-      }
+      const { contentTypes, full = false, trigger = "api" } = options;
 
       if (contentTypes && Array.isArray(contentTypes)) {
-        await this.syncContentTypes(contentTypes);
-      } else {
-        await this.run();
+        await this.syncContentTypes(contentTypes, { trigger });
+      } else if (!(await this.run({ full, trigger }))) {
+        return null;
       }
 
       return this.getStatus();
@@ -478,33 +1405,6 @@ class ContentSyncJob {
     }
   }
 
-  /**
-   * Clean up old or invalid entries
-   */
-  async cleanupEntries() {
-    try {
-      logger.info("🧹 Starting cleanup of old entries...");
-
-      // Remove entries that haven't been updated in the last 30 days
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - 30);
-
-      const { error } = await supabaseService.client
-        .from("content_entries")
-        .delete()
-        .lt("updated_at", cutoffDate.toISOString());
-
-      if (error) {
-        throw error;
-      }
-
-      logger.info("✅ Cleanup completed successfully");
-    } catch (error) {
-      logger.error("Cleanup failed:", error);
-      throw error;
-    }
-  }
-
   /**
    * Validate content integrity
    */
@@ -784,15 +1684,18 @@ if (require.main === module) {
   // Check for command line arguments
   const args = process.argv.slice(2);
 
+  // --full forces a complete rebuild instead of an incremental sync
+  const full = args.includes("--full");
+
   // Check for --content-types argument
   const contentTypesIndex = args.indexOf("--content-types");
   if (contentTypesIndex !== -1 && contentTypesIndex + 1 < args.length) {
     const contentTypes = args[contentTypesIndex + 1].split(",");
     contentSyncJob
-      .syncContentTypes(contentTypes)
-      .then(() => {
-        console.log("Selective sync job completed successfully");
-        process.exit(0);
+      .syncContentTypes(contentTypes, { trigger: "cli" })
+      .then((status) => {
+        console.log(`Selective sync job finished: ${status}`);
+        process.exit(status === "cancelled" ? 1 : 0);
       })
       .catch((error) => {
         console.error("Selective sync job failed:", error);
@@ -800,10 +1703,15 @@ if (require.main === module) {
       });
   } else {
     contentSyncJob
-      .run()
-      .then(() => {
-        console.log("Sync job completed successfully");
-        process.exit(0);
+      .run({ full, trigger: "cli" })
+      .then((status) => {
+        // Cancelled runs did not finish, so scripts must not carry on
+        console.log(
+          status
+            ? `Sync job finished: ${status}`
+            : "Sync job skipped, a sync is already running"
+        );
+        process.exit(status === "cancelled" ? 1 : 0);
       })
       .catch((error) => {
         console.error("Sync job failed:", error);
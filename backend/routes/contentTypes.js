@@ -0,0 +1,297 @@
+const express = require("express");
+const router = express.Router();
+
+const contentTypeManager = require("../services/contentTypeManager");
+const contentTypeConfigService = require("../services/contentTypeConfigs");
+const schemaIntrospectionService = require("../services/schemaIntrospection");
+const contentSyncJob = require("../jobs/syncContent");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+
+/**
+ * GET /api/admin/content-types
+ * List content type configurations (built-in defaults and stored ones)
+ */
+router.get("/", (req, res) => {
+  const uids = new Set([
+    ...contentTypeManager.getAllContentTypes().map((ct) => ct.uid),
+    ...contentTypeConfigService.storedUids,
+  ]);
+
+  res.json({
+    contentTypes: Array.from(uids).sort().map(formatContentType),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /api/admin/content-types/proposals
+ * Propose configurations from the Contentstack schemas of all content types
+ * (or `?uids=a,b`) and show how they differ from the active ones
+ */
+router.get("/proposals", async (req, res) => {
+  try {
+    const uids = req.query.uids
+      ? req.query.uids.split(",").map((uid) => uid.trim())
+      : null;
+    const proposals = await schemaIntrospectionService.introspect(uids);
+
+    res.json({
+      proposals,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to propose content type configurations:", error);
+    res.status(503).json({
+      error: "Failed to read content type schemas from Contentstack",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Contentstack unavailable",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/content-types/:uid/proposal
+ * Propose a configuration from one content type's Contentstack schema
+ */
+router.get("/:uid/proposal", async (req, res) => {
+  try {
+    const [proposal] = await schemaIntrospectionService.introspect([
+      req.params.uid,
+    ]);
+
+    if (!proposal) {
+      return res.status(404).json({
+        error: `Content type ${req.params.uid} does not exist in Contentstack`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      proposal,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to propose content type configuration:", error);
+    res.status(503).json({
+      error: "Failed to read content type schema from Contentstack",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Contentstack unavailable",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/content-types/:uid
+ * Get the active configuration of a content type
+ */
+router.get("/:uid", (req, res) => {
+  if (!contentTypeManager.hasContentType(req.params.uid)) {
+    return res.status(404).json({
+      error: "Content type configuration not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.json({
+    contentType: formatContentType(req.params.uid),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * POST /api/admin/content-types
+ * Store a configuration for a content type without one in the database.
+ * `?reindex=true` re-indexes the type when its embedded fields changed.
+ */
+router.post("/", async (req, res) => {
+  const { uid, ...contentTypeConfig } = req.body || {};
+
+  if (!uid || typeof uid !== "string") {
+    return res.status(400).json({
+      error: "uid is required",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (contentTypeConfigService.isStored(uid)) {
+    return res.status(409).json({
+      error: `Content type ${uid} already has a stored configuration, use PUT to replace it`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await saveContentType(req, res, uid, contentTypeConfig);
+});
+
+/**
+ * PUT /api/admin/content-types/:uid
+ * Replace the configuration of a content type.
+ * `?reindex=true` re-indexes the type when its embedded fields changed.
+ */
+router.put("/:uid", async (req, res) => {
+  if (!contentTypeManager.hasContentType(req.params.uid)) {
+    return res.status(404).json({
+      error: "Content type configuration not found, use POST to create it",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await saveContentType(req, res, req.params.uid, req.body);
+});
+
+/**
+ * DELETE /api/admin/content-types/:uid
+ * Delete a stored configuration (built-in types revert to their defaults).
+ * `?reindex=true` re-indexes the type when its embedded fields changed.
+ */
+router.delete("/:uid", async (req, res) => {
+  const { uid } = req.params;
+
+  try {
+    if (!contentTypeConfigService.isStored(uid)) {
+      return res.status(404).json({
+        error: "No stored configuration for this content type",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { embeddingChanged } = await contentTypeConfigService.remove(uid);
+
+    res.json({
+      message: `Content type configuration ${uid} deleted`,
+      contentType: contentTypeManager.hasContentType(uid)
+        ? formatContentType(uid)
+        : null,
+      reindex: await startReindex(uid, embeddingChanged, req.query.reindex),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to delete content type configuration:", error);
+    res.status(500).json({
+      error: "Failed to delete content type configuration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Validate, store and apply a configuration
+ */
+async function saveContentType(req, res, uid, contentTypeConfig) {
+  try {
+    const errors = contentTypeConfigService.validate(contentTypeConfig);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid content type configuration",
+        details: errors,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let schemaErrors;
+    try {
+      schemaErrors = await contentTypeConfigService.validateAgainstSchema(
+        uid,
+        contentTypeConfig
+      );
+    } catch (error) {
+      logger.error("Failed to load Contentstack schema:", error);
+      return res.status(503).json({
+        error: "Could not validate against the Contentstack schema",
+        message:
+          config.nodeEnv === "development"
+            ? error.message
+            : "Contentstack unavailable",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        error: "Configuration does not match the Contentstack schema",
+        details: schemaErrors,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { created, embeddingChanged } = await contentTypeConfigService.save(
+      uid,
+      contentTypeConfig
+    );
+
+    res.status(created ? 201 : 200).json({
+      message: `Content type configuration ${uid} ${
+        created ? "created" : "updated"
+      }`,
+      contentType: formatContentType(uid),
+      reindex: await startReindex(uid, embeddingChanged, req.query.reindex),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to save content type configuration:", error);
+    res.status(500).json({
+      error: "Failed to save content type configuration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Re-index a content type in the background when requested and its embedded
+ * fields changed
+ */
+async function startReindex(uid, embeddingChanged, requested) {
+  if (!embeddingChanged) {
+    return { status: "not_needed" };
+  }
+
+  if (requested !== "true") {
+    return {
+      status: "not_requested",
+      reason: "Embedded fields changed; re-index with ?reindex=true",
+    };
+  }
+
+  if (contentSyncJob.isRunning || (await contentSyncJob.getLock())) {
+    return {
+      status: "skipped",
+      reason: "A sync is already running; re-index once it completes",
+    };
+  }
+
+  contentSyncJob
+    .syncContentTypes([uid], { trigger: "admin" })
+    .catch((error) => {
+      logger.error(`Re-index of content type ${uid} failed:`, error);
+    });
+
+  return { status: "started" };
+}
+
+/**
+ * Format a content type configuration for API responses
+ */
+function formatContentType(uid) {
+  return {
+    uid,
+    source: contentTypeConfigService.isStored(uid) ? "stored" : "default",
+    ...contentTypeManager.getContentTypeConfig(uid),
+  };
+}
+
+module.exports = router;
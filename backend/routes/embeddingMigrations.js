@@ -0,0 +1,262 @@
+const express = require("express");
+const router = express.Router();
+
+const embeddingMigrationService = require("../services/embeddingMigration");
+const supabaseService = require("../services/supabase");
+const { PROVIDERS } = require("../services/embeddingProviders");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+
+/**
+ * POST /api/admin/embedding-migrations
+ * Start building a shadow index for a new embedding model
+ */
+router.post("/", async (req, res) => {
+  try {
+    const {
+      provider = config.embeddings.provider,
+      model,
+      dimensions,
+    } = req.body || {};
+
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        error: `Provider must be one of: ${PROVIDERS.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (
+      dimensions !== undefined &&
+      (!Number.isInteger(dimensions) || dimensions <= 0)
+    ) {
+      return res.status(400).json({
+        error: "Dimensions must be a positive integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const active = await embeddingMigrationService.getActiveMigration();
+    if (active) {
+      return res.status(409).json({
+        error: `Embedding migration ${active.id} is already ${active.status}`,
+        migration: formatMigration(active),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const migration = await embeddingMigrationService.start({
+      provider,
+      model,
+      dimensions,
+    });
+
+    res.status(202).json({
+      message: "Embedding migration started",
+      migration: formatMigration(migration),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to start embedding migration:", error);
+    res.status(500).json({
+      error: "Failed to start embedding migration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/embedding-migrations
+ * List recent embedding migrations
+ */
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const migrations = await supabaseService.listEmbeddingMigrations(limit);
+
+    res.json({
+      migrations: migrations.map(formatMigration),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to list embedding migrations:", error);
+    res.status(500).json({
+      error: "Failed to list embedding migrations",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/embedding-migrations/:id
+ * Get progress of an embedding migration
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const migration = await supabaseService.getEmbeddingMigration(
+      req.params.id
+    );
+
+    if (!migration) {
+      return res.status(404).json({
+        error: "Embedding migration not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      migration: formatMigration(migration),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to get embedding migration:", error);
+    res.status(500).json({
+      error: "Failed to get embedding migration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/embedding-migrations/:id/cutover
+ * Atomically make the completed shadow index the live index. Migrations with
+ * entries that failed to embed need ?force=true, as those entries would
+ * drop out of search.
+ */
+router.post("/:id/cutover", async (req, res) => {
+  try {
+    const migration = await supabaseService.getEmbeddingMigration(
+      req.params.id
+    );
+
+    if (!migration) {
+      return res.status(404).json({
+        error: "Embedding migration not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (migration.status !== "ready") {
+      return res.status(409).json({
+        error: `Embedding migration is ${migration.status}, only ready migrations can be cut over`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const force = req.query.force === "true";
+    if (migration.failed_entries > 0 && !force) {
+      return res.status(409).json({
+        error: `${migration.failed_entries} entries failed to embed and would be missing from search, pass ?force=true to cut over anyway`,
+        migration: formatMigration(migration),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const updated = await embeddingMigrationService.cutover(migration.id, {
+      force,
+    });
+
+    res.json({
+      message: "Embedding migration cut over",
+      migration: formatMigration(updated),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to cut over embedding migration:", error);
+    res.status(500).json({
+      error: "Failed to cut over embedding migration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/embedding-migrations/:id/cancel
+ * Stop a migration and discard its shadow index on the next start
+ */
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const migration = await supabaseService.getEmbeddingMigration(
+      req.params.id
+    );
+
+    if (!migration) {
+      return res.status(404).json({
+        error: "Embedding migration not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!["building", "ready"].includes(migration.status)) {
+      return res.status(409).json({
+        error: `Embedding migration is already ${migration.status}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const cancelled = await embeddingMigrationService.cancel(migration.id);
+
+    res.json({
+      message: "Embedding migration cancelled",
+      migration: formatMigration(cancelled),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to cancel embedding migration:", error);
+    res.status(500).json({
+      error: "Failed to cancel embedding migration",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Format a migration row for API responses
+ */
+function formatMigration(migration) {
+  const total = migration.total_entries || 0;
+  const processed = migration.processed_entries || 0;
+
+  return {
+    id: migration.id,
+    status: migration.status,
+    sourceModel: migration.source_model,
+    targetProvider: migration.target_provider,
+    targetModel: migration.target_model,
+    targetDimensions: migration.target_dimensions,
+    progress: {
+      total,
+      processed,
+      failed: migration.failed_entries || 0,
+      percent: total > 0 ? Math.round((processed / total) * 1000) / 10 : 0,
+    },
+    // A building migration that no process is running was interrupted
+    running: embeddingMigrationService.isRunning(migration.id),
+    error: migration.error,
+    startedAt: migration.started_at,
+    completedAt: migration.completed_at,
+    cutOverAt: migration.cut_over_at,
+  };
+}
+
+module.exports = router;
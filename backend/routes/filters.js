@@ -6,36 +6,50 @@ const logger = require("../utils/logger");
 
 /**
  * GET /api/filters
- * Get available filter options (content types and locales)
+ * Get available filter options (content types, locales, categories, tags
+ * and the published date range) with the number of entries for each
  */
 router.get("/", async (req, res) => {
   try {
     logger.debug("Fetching filter options");
 
-    const filterOptions = await supabaseService.getFilterOptions();
+    const filterCounts = await supabaseService.getFilterCounts();
 
     const response = {
       filters: {
-        contentTypes: filterOptions.contentTypes.map((type) => ({
-          value: type,
-          label: formatContentTypeLabel(type),
-          count: null, // Could be populated if needed
+        contentTypes: filterCounts.contentTypes.map(({ value, count }) => ({
+          value,
+          label: formatContentTypeLabel(value),
+          count,
+        })),
+        locales: filterCounts.locales.map(({ value, count }) => ({
+          value,
+          label: formatLocaleLabel(value),
+          count,
+        })),
+        categories: filterCounts.categories.map(({ value, count }) => ({
+          value,
+          label: value,
+          count,
         })),
-        locales: filterOptions.locales.map((locale) => ({
-          value: locale,
-          label: formatLocaleLabel(locale),
-          count: null, // Could be populated if needed
+        tags: filterCounts.tags.map(({ value, count }) => ({
+          value,
+          label: value,
+          count,
         })),
+        publishedDate: filterCounts.publishedRange,
       },
       meta: {
-        totalContentTypes: filterOptions.contentTypes.length,
-        totalLocales: filterOptions.locales.length,
+        totalContentTypes: filterCounts.contentTypes.length,
+        totalLocales: filterCounts.locales.length,
+        totalCategories: filterCounts.categories.length,
+        totalTags: filterCounts.tags.length,
         timestamp: new Date().toISOString(),
       },
     };
 
     logger.debug(
-      `Returned ${filterOptions.contentTypes.length} content types and ${filterOptions.locales.length} locales`
+      `Returned ${filterCounts.contentTypes.length} content types, ${filterCounts.locales.length} locales, ${filterCounts.categories.length} categories and ${filterCounts.tags.length} tags`
     );
 
     res.json(response);
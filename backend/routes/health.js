@@ -4,6 +4,7 @@ const logger = require("../utils/logger");
 const performanceMonitor = require("../utils/performance");
 const contentstackHealth = require("../utils/contentstack-health");
 const contentstackService = require("../services/contentstack");
+const reconcileIndexJob = require("../jobs/reconcileIndex");
 
 /**
  * Basic health check endpoint
@@ -330,4 +331,15 @@ router.get("/contentstack/errors", (req, res) => {
   }
 });
 
+/**
+ * Index reconciliation status: whether it runs and the counts of its last
+ * report
+ */
+router.get("/reconciliation", (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...reconcileIndexJob.getStatus(),
+  });
+});
+
 module.exports = router;
@@ -5,12 +5,34 @@ const embeddingsService = require("../services/embeddings");
 const supabaseService = require("../services/supabase");
 const analyticsService = require("../services/analytics");
 const explainabilityService = require("../services/explainability");
+const embeddingMigrationService = require("../services/embeddingMigration");
+const queryEmbeddingCache = require("../services/queryEmbeddingCache");
+const searchResultCache = require("../services/searchResultCache");
+const rerankingService = require("../services/reranking");
+const scoringService = require("../services/scoring");
 const config = require("../utils/config");
 const logger = require("../utils/logger");
 
+const SEARCH_MODES = ["semantic", "hybrid"];
+const FUSION_METHODS = ["rrf", "weighted"];
+const SEARCH_INDEXES = ["live", "shadow"];
+const FACETS = ["contentType", "locale", "category", "tag", "publishedDate"];
+const FACET_DATE_INTERVALS = ["day", "week", "month", "year"];
+// Most frequent values returned per facet (date histograms are not capped)
+const MAX_FACET_VALUES = 20;
+
 /**
  * POST /api/search
- * Perform semantic search using embeddings
+ * Perform semantic search using embeddings, or hybrid keyword + vector
+ * search when `mode: "hybrid"` is requested. `index: "shadow"` queries the
+ * index being built by an embedding model migration for A/B comparison.
+ * `facets: true` (or a list of facet names) adds counts over every matching
+ * entry, not just the returned page. Pass `meta.nextCursor` back as `cursor`
+ * to fetch the next page. `rerank: true` re-scores the top `rerankTopN`
+ * candidates with the configured re-ranker; re-ranked searches return a
+ * single page. `boost: true` (or a `boost` object tuning them) reorders
+ * results by content type, recency and field match boosts; SEARCH_BOOST_ENABLED
+ * applies them by default and `boost: false` then turns them off.
  */
 router.post("/", async (req, res) => {
   try {
@@ -19,6 +41,16 @@ router.post("/", async (req, res) => {
       filters = {},
       limit = config.search.defaultLimit,
       threshold = config.search.defaultThreshold,
+      mode = "semantic",
+      fusion = config.search.hybrid.fusion,
+      semanticWeight,
+      index = "live",
+      facets = false,
+      facetDateInterval = "month",
+      cursor,
+      rerank = false,
+      rerankTopN,
+      boost,
     } = req.body;
 
     // Validate input
@@ -29,6 +61,157 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Mode must be one of: ${SEARCH_MODES.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (mode === "hybrid" && !FUSION_METHODS.includes(fusion)) {
+      return res.status(400).json({
+        error: `Fusion must be one of: ${FUSION_METHODS.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Validate tag, category and published date filters
+    const { filters: searchFilters, error: filterError } =
+      normalizeFilters(filters);
+    if (filterError) {
+      return res.status(400).json({
+        error: filterError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Validate pagination cursor
+    let page = null;
+    if (cursor !== undefined && cursor !== null) {
+      page = decodeCursor(cursor);
+      if (!page || page.mode !== mode) {
+        return res.status(400).json({
+          error: "Invalid cursor for this search",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Validate requested facets
+    const requestedFacets = facets === true ? FACETS : facets || [];
+    if (
+      !Array.isArray(requestedFacets) ||
+      !requestedFacets.every((facet) => FACETS.includes(facet))
+    ) {
+      return res.status(400).json({
+        error: `Facets must be true or a list of: ${FACETS.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!FACET_DATE_INTERVALS.includes(facetDateInterval)) {
+      return res.status(400).json({
+        error: `Facet date interval must be one of: ${FACET_DATE_INTERVALS.join(
+          ", "
+        )}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (requestedFacets.length > 0 && index !== "live") {
+      return res.status(400).json({
+        error: "Facets are only available on the live index",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (typeof rerank !== "boolean") {
+      return res.status(400).json({
+        error: "Rerank must be a boolean",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (rerank && page) {
+      return res.status(400).json({
+        error: "Re-ranked searches cannot be paginated",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (rerank && !rerankingService.isAvailable()) {
+      return res.status(400).json({
+        error: "Re-ranking is not configured",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { options: boostOptions, error: boostError } =
+      scoringService.resolveOptions(boost);
+    if (boostError) {
+      return res.status(400).json({
+        error: boostError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Boosted pages are offsets into the boosted candidates
+    if (page && page.boosted !== Boolean(boostOptions)) {
+      return res.status(400).json({
+        error: "Invalid cursor for this search",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!SEARCH_INDEXES.includes(index)) {
+      return res.status(400).json({
+        error: `Index must be one of: ${SEARCH_INDEXES.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Identical searches are answered from the result cache until the live
+    // index changes. Shadow index searches are never cached.
+    const indexVersion =
+      searchResultCache.enabled && index === "live"
+        ? await searchResultCache.getIndexVersion()
+        : null;
+
+    // Pick up an embedding model cutover made by another instance. Without
+    // the result cache the model is refreshed on a timer instead, sparing
+    // each search a lookup.
+    if (indexVersion !== null) {
+      await embeddingMigrationService.syncLiveModel(indexVersion);
+    }
+
+    // The shadow index only exists while a model migration is active
+    let embeddingProvider = embeddingsService.provider;
+    if (index === "shadow") {
+      if (mode !== "semantic") {
+        return res.status(400).json({
+          error: "The shadow index only supports semantic mode",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const migration = await embeddingMigrationService.getActiveMigration();
+      if (!migration) {
+        return res.status(400).json({
+          error: "No embedding migration is active",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      embeddingProvider =
+        embeddingMigrationService.getTargetProvider(migration);
+    }
+
+    // Validate semantic weight (only used by hybrid mode)
+    const searchSemanticWeight =
+      semanticWeight === undefined
+        ? config.search.hybrid.semanticWeight
+        : Math.min(Math.max(0, parseFloat(semanticWeight) || 0), 1);
+
     // Validate limit
     const searchLimit = Math.min(
       Math.max(1, parseInt(limit) || config.search.defaultLimit),
@@ -41,40 +224,176 @@ router.post("/", async (req, res) => {
       1
     );
 
+    // Validate re-rank candidate count (never fewer than the results returned)
+    const rerankCandidates = rerank
+      ? Math.max(
+          searchLimit,
+          Math.min(
+            Math.max(1, parseInt(rerankTopN) || rerankingService.topN),
+            rerankingService.maxTopN
+          )
+        )
+      : 0;
+
     logger.info("🔍 Processing search request", {
       query: query.substring(0, 100),
-      filters,
+      filters: searchFilters,
       limit: searchLimit,
       threshold: searchThreshold,
+      mode,
+      index,
+      paginated: Boolean(page),
+      rerank,
     });
 
-    // Generate embedding for the search query
     const startTime = Date.now();
-    const queryEmbedding = await embeddingsService.generateEmbedding(
-      query.trim()
+
+    const cacheKey =
+      indexVersion !== null
+        ? searchResultCache.buildKey(indexVersion, query, searchFilters, {
+            limit: searchLimit,
+            threshold: searchThreshold,
+            mode,
+            fusion: mode === "hybrid" ? fusion : null,
+            semanticWeight: mode === "hybrid" ? searchSemanticWeight : null,
+            model: embeddingProvider.modelId,
+            facets: requestedFacets,
+            facetDateInterval,
+            cursor: page,
+            boost: boostOptions,
+            rerank: rerank
+              ? {
+                  candidates: rerankCandidates,
+                  ...rerankingService.reranker.getInfo(),
+                }
+              : null,
+          })
+        : null;
+
+    if (!cacheKey) {
+      searchResultCache.recordBypass();
+    } else {
+      const cached = await searchResultCache.get(cacheKey);
+      if (cached) {
+        if (!page) {
+          logSearch(query, searchFilters, cached.results);
+        }
+
+        setCacheHeaders(res, "HIT", indexVersion);
+        return res.json({
+          ...cached,
+          query,
+          meta: {
+            ...cached.meta,
+            cache: { status: "hit", indexVersion },
+            timing: { total: `${Date.now() - startTime}ms` },
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+    }
+
+    // Generate embedding for the search query with the index's model
+    const queryEmbedding = await embeddingsService.generateQueryEmbedding(
+      query.trim(),
+      embeddingProvider
     );
     const embeddingTime = Date.now() - startTime;
 
     logger.debug(`Generated query embedding in ${embeddingTime}ms`);
 
-    // Perform vector search
+    // Perform vector (or hybrid) search, and count facets alongside it
     const searchStartTime = Date.now();
-    const results = await supabaseService.searchContent(
-      queryEmbedding,
-      filters,
-      searchLimit,
-      searchThreshold
-    );
+    const facetsPromise =
+      requestedFacets.length > 0
+        ? getSearchFacets(queryEmbedding, searchFilters, searchThreshold, {
+            queryText: mode === "hybrid" ? query.trim() : null,
+            dateInterval: facetDateInterval,
+            facets: requestedFacets,
+          })
+        : Promise.resolve(null);
+    // Fetch one extra row to know whether another page exists, or every
+    // candidate when re-ranking. Boosted searches fetch candidates from the
+    // top, like hybrid candidates, and page through them once boosted.
+    const offset = page?.offset || 0;
+    const boosted = Boolean(boostOptions) && !rerank;
+    const fetchCount = rerank
+      ? rerankCandidates
+      : boosted
+      ? Math.max(config.search.boost.candidateCount, offset + searchLimit) + 1
+      : searchLimit + 1;
+    const matches =
+      mode === "hybrid"
+        ? await supabaseService.hybridSearchContent(
+            query.trim(),
+            queryEmbedding,
+            searchFilters,
+            fetchCount,
+            searchThreshold,
+            {
+              fusion,
+              semanticWeight: searchSemanticWeight,
+              offset: boosted ? 0 : offset,
+            }
+          )
+        : await supabaseService.searchContent(
+            queryEmbedding,
+            searchFilters,
+            fetchCount,
+            searchThreshold,
+            { index, after: boosted ? null : page }
+          );
+    const searchFacets = await facetsPromise;
     const searchTime = Date.now() - searchStartTime;
 
+    // Re-rank the candidates. On failure the vector order is kept.
+    let rankedMatches = matches;
+    let rerankTime = 0;
+    let rerankFailed = false;
+    if (rerank) {
+      const rerankStartTime = Date.now();
+      try {
+        rankedMatches = await rerankingService.rerank(query.trim(), matches);
+      } catch (error) {
+        rerankFailed = true;
+      }
+      rerankTime = Date.now() - rerankStartTime;
+
+      logger.debug(`Re-ranked ${matches.length} candidates in ${rerankTime}ms`);
+    }
+
+    // Boosts reorder all candidates before the page is cut
+    const pageStart = boosted ? offset : 0;
+    const results = (
+      boostOptions
+        ? scoringService.applyBoosts(query, rankedMatches, boostOptions)
+        : rankedMatches
+    ).slice(pageStart, pageStart + searchLimit);
+
+    // The cursor continues after the last row in similarity order, or at
+    // the next offset into hybrid or boosted candidates
+    const hasMore = !rerank && matches.length > pageStart + searchLimit;
+    const lastResult = matches[searchLimit - 1];
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = encodeCursor(
+        boosted
+          ? { mode, offset: offset + searchLimit, boosted }
+          : mode === "hybrid"
+          ? { mode, offset: offset + searchLimit }
+          : { mode, similarity: lastResult.similarity, id: lastResult.id }
+      );
+    }
+
     logger.debug(
       `Search completed in ${searchTime}ms, found ${results.length} results`
     );
 
-    // Log search for analytics (async, don't wait)
-    analyticsService.logSearchQuery(query, filters, results).catch((error) => {
-      logger.warn("Failed to log search query for analytics:", error.message);
-    });
+    // Log search for analytics. Later pages of the same search are not
+    // counted again.
+    if (!page) {
+      logSearch(query, searchFilters, results);
+    }
 
     // Format response
     const response = {
@@ -88,22 +407,79 @@ router.post("/", async (req, res) => {
         locale: result.locale,
         updatedAt: result.updated_at,
         similarity: Math.round(result.similarity * 10000) / 10000, // Round to 4 decimal places
+        chunkIndex: result.chunk_index ?? 0,
+        tags: result.tags || [],
+        category: result.category,
+        publishedAt: result.published_at,
+        ...(result.rerank_score !== undefined && {
+          rerankScore: Math.round(result.rerank_score * 10000) / 10000,
+          originalRank: result.original_rank,
+        }),
+        ...(result.score_breakdown && {
+          scoreBreakdown: roundScores(result.score_breakdown),
+        }),
+        ...(mode === "hybrid" && {
+          keywordScore: Math.round(result.keyword_score * 10000) / 10000,
+          score: Math.round(result.score * 1000000) / 1000000,
+          ranks: {
+            semantic: result.semantic_rank,
+            keyword: result.keyword_rank,
+          },
+        }),
       })),
+      ...(requestedFacets.length > 0 && { facets: searchFacets }),
       meta: {
         total: results.length,
         limit: searchLimit,
         threshold: searchThreshold,
-        filters,
+        mode,
+        index,
+        model: embeddingProvider.modelId,
+        ...(mode === "hybrid" && {
+          fusion,
+          semanticWeight: searchSemanticWeight,
+        }),
+        boost: boostOptions,
+        ...(rerank && {
+          rerank: {
+            ...rerankingService.reranker.getInfo(),
+            candidates: matches.length,
+            applied: !rerankFailed,
+            ...(rerankFailed && {
+              error: "Re-ranking failed; results are in similarity order",
+            }),
+          },
+        }),
+        filters: searchFilters,
+        hasMore,
+        nextCursor,
         timing: {
           embedding: `${embeddingTime}ms`,
           search: `${searchTime}ms`,
+          ...(rerank && { rerank: `${rerankTime}ms` }),
           total: `${Date.now() - startTime}ms`,
         },
         timestamp: new Date().toISOString(),
       },
     };
 
-    res.json(response);
+    // Responses with failed facets or re-ranking are not cached so the next
+    // request retries
+    const cacheStatus = cacheKey ? "MISS" : "BYPASS";
+    const degraded =
+      (requestedFacets.length > 0 && !searchFacets) || rerankFailed;
+    if (cacheKey && !degraded) {
+      await searchResultCache.set(cacheKey, response);
+    }
+
+    setCacheHeaders(res, cacheStatus, indexVersion);
+    res.json({
+      ...response,
+      meta: {
+        ...response.meta,
+        cache: { status: cacheStatus.toLowerCase(), indexVersion },
+      },
+    });
   } catch (error) {
     logger.error("Search request failed:", error);
 
@@ -131,8 +507,16 @@ router.get("/stats", async (req, res) => {
         defaultLimit: config.search.defaultLimit,
         maxLimit: config.search.maxLimit,
         defaultThreshold: config.search.defaultThreshold,
-        embeddingDimensions: config.search.embeddingDimensions,
+        embeddingDimensions: embeddingsService.getDimensions(),
+        modes: SEARCH_MODES,
+        indexes: SEARCH_INDEXES,
+        facets: FACETS,
+        hybrid: config.search.hybrid,
+        boost: config.search.boost,
       },
+      queryEmbeddingCache: await queryEmbeddingCache.getStats(),
+      searchResultCache: await searchResultCache.getStats(),
+      rerank: rerankingService.getStats(),
       timestamp: new Date().toISOString(),
     };
 
@@ -164,8 +548,8 @@ router.post("/similarity", async (req, res) => {
     logger.debug("Calculating similarity between texts");
 
     const [embedding1, embedding2] = await Promise.all([
-      embeddingsService.generateEmbedding(text1),
-      embeddingsService.generateEmbedding(text2),
+      embeddingsService.generateQueryEmbedding(text1),
+      embeddingsService.generateQueryEmbedding(text2),
     ]);
 
     // Calculate cosine similarity
@@ -286,6 +670,153 @@ router.post("/suggestions", async (req, res) => {
   }
 });
 
+/**
+ * Round every score in a score breakdown to 6 decimal places
+ */
+function roundScores(breakdown) {
+  return Object.fromEntries(
+    Object.entries(breakdown).map(([name, value]) => [
+      name,
+      Math.round(value * 1000000) / 1000000,
+    ])
+  );
+}
+
+/**
+ * Log a search for analytics (async, don't wait)
+ */
+function logSearch(query, filters, results) {
+  analyticsService.logSearchQuery(query, filters, results).catch((error) => {
+    logger.warn("Failed to log search query for analytics:", error.message);
+  });
+}
+
+/**
+ * Report result cache status (HIT, MISS or BYPASS) in response headers
+ */
+function setCacheHeaders(res, status, indexVersion) {
+  res.set("X-Cache", status);
+  if (indexVersion !== null) {
+    res.set("X-Index-Version", String(indexVersion));
+  }
+}
+
+/**
+ * Count the requested facets over the matched result set. Facets are
+ * optional extras, so a failure is logged and reported as null.
+ */
+async function getSearchFacets(queryEmbedding, filters, threshold, options) {
+  try {
+    const counts = await supabaseService.getSearchFacets(
+      queryEmbedding,
+      filters,
+      threshold,
+      options
+    );
+
+    return Object.fromEntries(
+      options.facets.map((facet) => [
+        facet,
+        facet === "publishedDate"
+          ? counts[facet]
+          : counts[facet].slice(0, MAX_FACET_VALUES),
+      ])
+    );
+  } catch (error) {
+    logger.warn("Failed to compute search facets:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Encode a result position as an opaque pagination cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor. Semantic cursors hold the similarity and id of
+ * the last result; hybrid and boosted cursors hold an offset because fused
+ * and boosted scores are only comparable within one ranking. Returns null
+ * when invalid.
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+
+    if (
+      (position?.mode === "hybrid" || position?.boosted === true) &&
+      SEARCH_MODES.includes(position.mode) &&
+      Number.isInteger(position.offset) &&
+      position.offset >= 0
+    ) {
+      return {
+        mode: position.mode,
+        offset: position.offset,
+        boosted: position.boosted === true,
+      };
+    }
+
+    if (
+      position?.mode === "semantic" &&
+      typeof position.similarity === "number" &&
+      typeof position.id === "string"
+    ) {
+      return {
+        mode: position.mode,
+        similarity: position.similarity,
+        id: position.id,
+        boosted: false,
+      };
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate search filters and normalize tags, categories and published
+ * dates. Returns { filters } or { error }.
+ */
+function normalizeFilters(filters) {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return { error: "Filters must be an object" };
+  }
+
+  const normalized = { ...filters };
+
+  for (const key of ["tags", "categories"]) {
+    if (filters[key] === undefined || filters[key] === null) continue;
+
+    const values =
+      typeof filters[key] === "string" ? [filters[key]] : filters[key];
+    if (
+      !Array.isArray(values) ||
+      !values.every((value) => typeof value === "string")
+    ) {
+      return { error: `filters.${key} must be an array of strings` };
+    }
+    normalized[key] = values;
+  }
+
+  for (const key of ["publishedAfter", "publishedBefore"]) {
+    if (filters[key] === undefined || filters[key] === null) continue;
+
+    const date = new Date(filters[key]);
+    if (isNaN(date.getTime())) {
+      return { error: `filters.${key} must be a valid date` };
+    }
+    normalized[key] = date.toISOString();
+  }
+
+  return { filters: normalized };
+}
+
 /**
  * Calculate cosine similarity between two vectors
  */
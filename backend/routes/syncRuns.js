@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+
+const contentSyncJob = require("../jobs/syncContent");
+const supabaseService = require("../services/supabase");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+
+const SYNC_RUN_STATUSES = [
+  "running",
+  "success",
+  "no_content",
+  "no_embeddings",
+  "cancelled",
+  "error",
+];
+
+// Runs on another instance are followed through their saved progress
+const POLL_INTERVAL_MS = 5000;
+// Comment lines sent on idle streams, so proxies keep them open
+const KEEP_ALIVE_INTERVAL_MS = 15000;
+
+/**
+ * GET /api/sync/runs
+ * List content sync runs, newest first (?status=error&limit=20), with the
+ * next scheduled run
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+
+    if (status && !SYNC_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${SYNC_RUN_STATUSES.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const [storedRuns, lock] = await Promise.all([
+      supabaseService.listSyncRuns(limit, status || null),
+      contentSyncJob.getLock(),
+    ]);
+    // Runs of crashed instances are marked failed as they are read
+    const syncRuns = await Promise.all(
+      storedRuns.map((syncRun) => contentSyncJob.settleRun(syncRun, lock))
+    );
+
+    res.json({
+      runs: syncRuns
+        .filter((syncRun) => !status || syncRun.status === status)
+        .map(formatSyncRun),
+      // A sync may run on another instance
+      isRunning: contentSyncJob.isRunning || Boolean(lock),
+      lock,
+      schedule: config.sync.schedule,
+      nextRun: contentSyncJob.getNextScheduledRun(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to list sync runs:", error);
+    res.status(500).json({
+      error: "Failed to list sync runs",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id
+ * Get a content sync run with its per content type counts and, while it
+ * runs, its progress
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const syncRun =
+      contentSyncJob.getRun(req.params.id) ||
+      (await contentSyncJob.settleRun(
+        await supabaseService.getSyncRun(req.params.id)
+      ));
+
+    if (!syncRun) {
+      return res.status(404).json({
+        error: "Sync run not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      run: formatSyncRunDetails(syncRun),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to get sync run:", error);
+    res.status(500).json({
+      error: "Failed to get sync run",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id/events
+ * Stream a sync run as Server-Sent Events: "progress" events while it runs,
+ * then a "finished" event with its outcome
+ */
+router.get("/:id/events", async (req, res) => {
+  const { id } = req.params;
+  const liveRun = contentSyncJob.getRun(id);
+  let syncRun;
+
+  try {
+    syncRun =
+      liveRun ||
+      (await contentSyncJob.settleRun(await supabaseService.getSyncRun(id)));
+  } catch (error) {
+    logger.error("Failed to get sync run:", error);
+    return res.status(500).json({
+      error: "Failed to get sync run",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!syncRun) {
+    return res.status(404).json({
+      error: "Sync run not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    // no-transform keeps the compression middleware from buffering events
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, run) => {
+    res.write(
+      `event: ${event}\ndata: ${JSON.stringify(formatSyncRunDetails(run))}\n\n`
+    );
+  };
+
+  if (syncRun.status !== "running") {
+    send("finished", syncRun);
+    return res.end();
+  }
+
+  send("progress", syncRun);
+
+  let stopFollowing = null;
+  const finish = (run) => {
+    stopFollowing();
+    if (res.writableEnded) {
+      return;
+    }
+    if (run) {
+      send("finished", run);
+    }
+    res.end();
+  };
+
+  stopFollowing = liveRun
+    ? followLiveRun(id, send, finish, res)
+    : followStoredRun(id, send, finish, res);
+  req.on("close", () => stopFollowing());
+});
+
+/**
+ * POST /api/sync/runs/:id/cancel
+ * Cancel a running sync. It stops before its next batch, keeping the
+ * entries indexed so far.
+ */
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    if (contentSyncJob.cancel(req.params.id)) {
+      return res.status(202).json({
+        message: "Sync run cancelling, it stops before its next batch",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const syncRun = await contentSyncJob.settleRun(
+      await supabaseService.getSyncRun(req.params.id)
+    );
+
+    if (!syncRun) {
+      return res.status(404).json({
+        error: "Sync run not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (syncRun.status !== "running") {
+      return res.status(409).json({
+        error: `Sync run is ${syncRun.status}, only running syncs can be cancelled`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Running on another instance, which checks for it when saving progress
+    await supabaseService.updateSyncRun(syncRun.id, {
+      cancel_requested_at: new Date().toISOString(),
+    });
+    logger.info(`⏹️ Cancellation requested for sync run ${syncRun.id}`);
+
+    res.status(202).json({
+      message: "Sync run cancelling, it stops before its next batch",
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to cancel sync run:", error);
+    res.status(500).json({
+      error: "Failed to cancel sync run",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Send the events of a run in this process. Returns a function that stops.
+ */
+function followLiveRun(id, send, finish, res) {
+  const onProgress = (run) => {
+    if (run.id === id) {
+      send("progress", run);
+    }
+  };
+  const onFinished = (run) => {
+    if (run.id === id) {
+      finish(run);
+    }
+  };
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    KEEP_ALIVE_INTERVAL_MS
+  );
+
+  contentSyncJob.events.on("progress", onProgress);
+  contentSyncJob.events.on("finished", onFinished);
+
+  return () => {
+    clearInterval(keepAlive);
+    contentSyncJob.events.off("progress", onProgress);
+    contentSyncJob.events.off("finished", onFinished);
+  };
+}
+
+/**
+ * Send the saved progress of a run on another instance, until it finishes
+ * or turns out abandoned. Returns a function that stops.
+ */
+function followStoredRun(id, send, finish, res) {
+  let lastUpdate = null;
+  let polling = false;
+
+  const timer = setInterval(async () => {
+    if (polling) {
+      return;
+    }
+    polling = true;
+
+    try {
+      const syncRun = await contentSyncJob.settleRun(
+        await supabaseService.getSyncRun(id)
+      );
+
+      if (!syncRun || syncRun.status !== "running") {
+        finish(syncRun);
+      } else if (syncRun.progress?.updatedAt !== lastUpdate) {
+        lastUpdate = syncRun.progress?.updatedAt;
+        send("progress", syncRun);
+      } else {
+        res.write(": keep-alive\n\n");
+      }
+    } catch (error) {
+      logger.warn("Failed to poll sync run:", error.message);
+    } finally {
+      polling = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Format a sync run with its per content type counts
+ */
+function formatSyncRunDetails(syncRun) {
+  return {
+    ...formatSyncRun(syncRun),
+    contentTypes: syncRun.content_types || {},
+  };
+}
+
+/**
+ * Format a sync run row for API responses
+ */
+function formatSyncRun(syncRun) {
+  return {
+    id: syncRun.id,
+    trigger: syncRun.trigger,
+    mode: syncRun.mode,
+    scope: syncRun.scope,
+    status: syncRun.status,
+    startedAt: syncRun.started_at,
+    finishedAt: syncRun.finished_at,
+    durationMs: syncRun.duration_ms,
+    counts: {
+      fetched: syncRun.fetched,
+      removed: syncRun.removed,
+      embedded: syncRun.embedded,
+      skipped: syncRun.skipped,
+      upserted: syncRun.upserted,
+      failed: syncRun.failed,
+    },
+    // Phase, content type, locale, batch, entries processed and ETA
+    progress: syncRun.status === "running" ? syncRun.progress || null : null,
+    cancelRequested: Boolean(syncRun.cancel_requested_at),
+    errorCategory: syncRun.error_category,
+    error: syncRun.error,
+  };
+}
+
+module.exports = router;
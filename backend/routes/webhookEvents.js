@@ -0,0 +1,224 @@
+const express = require("express");
+const router = express.Router();
+
+const webhookQueueService = require("../services/webhookQueue");
+const webhookSecurityService = require("../services/webhookSecurity");
+const supabaseService = require("../services/supabase");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+
+/**
+ * GET /api/admin/webhook-events
+ * List queued webhook events, newest first (?status=dead_letter&limit=50)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+
+    if (status && !webhookQueueService.statuses.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${webhookQueueService.statuses.join(
+          ", "
+        )}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const [webhookEvents, counts] = await Promise.all([
+      supabaseService.listWebhookEvents(limit, status || null),
+      supabaseService.countWebhookEvents(webhookQueueService.statuses),
+    ]);
+
+    res.json({
+      events: webhookEvents.map(formatWebhookEvent),
+      counts,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook events:", error);
+    res.status(500).json({
+      error: "Failed to list webhook events",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhook-events/stats
+ * Webhook verification counters and queue status
+ */
+router.get("/stats", async (req, res) => {
+  try {
+    res.json({
+      security: webhookSecurityService.getStats(),
+      queue: await webhookQueueService.getStats(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to get webhook stats:", error);
+    res.status(500).json({
+      error: "Failed to get webhook stats",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhook-events/:id
+ * Get a webhook event with its payload
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const webhookEvent = await supabaseService.getWebhookEvent(req.params.id);
+
+    if (!webhookEvent) {
+      return res.status(404).json({
+        error: "Webhook event not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      event: {
+        ...formatWebhookEvent(webhookEvent),
+        payload: webhookEvent.payload,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to get webhook event:", error);
+    res.status(500).json({
+      error: "Failed to get webhook event",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhook-events/:id/replay
+ * Queue a dead-lettered or discarded event again with fresh attempts.
+ * Refused once a newer event for the same entry exists: replaying would undo
+ * it, e.g. re-index an entry unpublished since.
+ */
+router.post("/:id/replay", async (req, res) => {
+  try {
+    const webhookEvent = await supabaseService.getWebhookEvent(req.params.id);
+
+    if (!webhookEvent) {
+      return res.status(404).json({
+        error: "Webhook event not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!["dead_letter", "discarded"].includes(webhookEvent.status)) {
+      return res.status(409).json({
+        error: `Webhook event is ${webhookEvent.status}, only dead-lettered or discarded events can be replayed`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const newerEvent = await supabaseService.getNewerWebhookEvent(webhookEvent);
+    if (newerEvent) {
+      return res.status(409).json({
+        error: `Webhook event is superseded by ${newerEvent.event} event ${newerEvent.id} for the same entry, discard it instead`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const replayed = await webhookQueueService.replay(webhookEvent.id);
+    logger.info(`🔁 Webhook event ${webhookEvent.id} queued for replay`);
+
+    res.status(202).json({
+      message: "Webhook event queued for replay",
+      event: formatWebhookEvent(replayed),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to replay webhook event:", error);
+    res.status(500).json({
+      error: "Failed to replay webhook event",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhook-events/:id
+ * Discard a pending or dead-lettered event
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const webhookEvent = await supabaseService.getWebhookEvent(req.params.id);
+
+    if (!webhookEvent) {
+      return res.status(404).json({
+        error: "Webhook event not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!["pending", "dead_letter"].includes(webhookEvent.status)) {
+      return res.status(409).json({
+        error: `Webhook event is ${webhookEvent.status}, only pending or dead-lettered events can be discarded`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const discarded = await webhookQueueService.discard(webhookEvent.id);
+    logger.info(`🗑️ Webhook event ${webhookEvent.id} discarded`);
+
+    res.json({
+      message: "Webhook event discarded",
+      event: formatWebhookEvent(discarded),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to discard webhook event:", error);
+    res.status(500).json({
+      error: "Failed to discard webhook event",
+      message:
+        config.nodeEnv === "development"
+          ? error.message
+          : "Internal server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Format a webhook event row for API responses
+ */
+function formatWebhookEvent(webhookEvent) {
+  return {
+    id: webhookEvent.id,
+    event: webhookEvent.event,
+    entryKey: webhookEvent.entry_key,
+    status: webhookEvent.status,
+    attempts: webhookEvent.attempts,
+    lastError: webhookEvent.last_error,
+    receivedAt: webhookEvent.received_at,
+    nextAttemptAt:
+      webhookEvent.status === "pending" ? webhookEvent.next_attempt_at : null,
+    processedAt: webhookEvent.processed_at,
+  };
+}
+
+module.exports = router;
@@ -1,7 +1,6 @@
 const express = require("express");
-const contentstackService = require("../services/contentstack");
-const embeddingsService = require("../services/embeddings");
-const supabaseService = require("../services/supabase");
+const webhookQueueService = require("../services/webhookQueue");
+const webhookSecurityService = require("../services/webhookSecurity");
 const logger = require("../utils/logger");
 const config = require("../utils/config");
 
@@ -9,137 +8,78 @@ const router = express.Router();
 
 /**
  * Contentstack Webhook Handler
- * Handles real-time content updates from Contentstack
+ * Queues real-time content updates from Contentstack. Events are applied by
+ * the webhook queue worker, so the response does not wait for embedding.
  */
 router.post("/contentstack", async (req, res) => {
   try {
     const { body } = req;
 
+    // Verify the request comes from Contentstack and is not a replay
+    const rejection = webhookSecurityService.verify(req);
+    if (rejection) {
+      webhookSecurityService.recordRejection(rejection);
+      logger.warn(`🚫 Contentstack webhook rejected: ${rejection}`, {
+        ip: req.ip,
+        event: body?.event,
+      });
+      return res.status(401).json({
+        error: "Webhook verification failed",
+        ...(config.nodeEnv === "development" && { message: rejection }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     // Verify webhook payload
     if (!body || !body.data) {
       return res.status(400).json({ error: "Invalid webhook payload" });
     }
 
-    const { data, event } = body;
-
-    logger.info(`📥 Contentstack webhook received: ${event}`, {
-      contentType: data?.content_type_uid,
-      entryUid: data?.entry?.uid,
-      locale: data?.entry?.locale,
-    });
+    const { event } = body;
+
+    // Redeliveries of an event already queued are acknowledged only
+    const key = webhookSecurityService.getIdempotencyKey(body, req.rawBody);
+    if (!(await webhookSecurityService.claim(key))) {
+      logger.info(`⏭️ Duplicate Contentstack webhook ignored: ${event}`, {
+        idempotencyKey: key,
+      });
+      return res
+        .status(200)
+        .json({ message: "Duplicate webhook ignored", duplicate: true });
+    }
 
-    // Handle different events
-    switch (event) {
-      case "entry.published":
-        await handleEntryPublished(data);
-        break;
-      case "entry.unpublished":
-        await handleEntryUnpublished(data);
-        break;
-      case "entry.deleted":
-        await handleEntryDeleted(data);
-        break;
-      default:
-        logger.warn(`Unhandled Contentstack event: ${event}`);
+    let webhookEvent;
+    try {
+      webhookEvent = await webhookQueueService.enqueue(body, key);
+    } catch (error) {
+      // Not stored, so Contentstack's retry must get through
+      webhookSecurityService.release(key);
+      throw error;
     }
+    await webhookSecurityService.complete(key);
+
+    if (!webhookEvent) {
+      logger.info(`⏭️ Duplicate Contentstack webhook ignored: ${event}`, {
+        idempotencyKey: key,
+      });
+      return res
+        .status(200)
+        .json({ message: "Duplicate webhook ignored", duplicate: true });
+    }
+
+    logger.info(`📥 Contentstack webhook queued: ${webhookEvent.event}`, {
+      eventId: webhookEvent.id,
+      entryKey: webhookEvent.entry_key,
+    });
 
-    res.status(200).json({ message: "Webhook processed successfully" });
+    res.status(202).json({
+      message: "Webhook queued",
+      eventId: webhookEvent.id,
+    });
   } catch (error) {
     logger.error("Contentstack webhook error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-/**
- * Handle entry published event
- */
-async function handleEntryPublished(data) {
-  const { content_type_uid: contentTypeUid, entry, locale } = data;
-
-  if (!contentTypeUid || !entry || !entry.uid) {
-    logger.warn("Invalid entry published data");
-    return;
-  }
-
-  // Transform the entry
-  const transformedEntry = contentstackService.transformEntry(
-    entry,
-    contentTypeUid,
-    locale || "en-us"
-  );
-
-  // Generate embedding
-  const embeddingText =
-    embeddingsService.generateEmbeddingText(transformedEntry);
-  const embedding = await embeddingsService.generateEmbedding(embeddingText);
-
-  // Sync to Supabase
-  const supabaseEntry = {
-    id: transformedEntry.id,
-    title: transformedEntry.title,
-    snippet: transformedEntry.snippet,
-    url: transformedEntry.url,
-    content_type: transformedEntry.content_type,
-    locale: transformedEntry.locale,
-    updated_at: transformedEntry.updated_at,
-    embedding: embedding,
-  };
-
-  await supabaseService.upsertContentEntry(supabaseEntry);
-
-  logger.info(`✅ Entry published and synced: ${transformedEntry.id}`);
-}
-
-/**
- * Handle entry unpublished event
- */
-async function handleEntryUnpublished(data) {
-  const { content_type_uid: contentTypeUid, entry, locale } = data;
-
-  if (!contentTypeUid || !entry || !entry.uid) {
-    logger.warn("Invalid entry unpublished data");
-    return;
-  }
-
-  const entryId = `${contentTypeUid}_${entry.uid}_${locale || "en-us"}`;
-
-  // Remove from Supabase
-  const { error } = await supabaseService.client
-    .from("content_entries")
-    .delete()
-    .eq("id", entryId);
-
-  if (error) {
-    throw error;
-  }
-
-  logger.info(`🗑️ Entry unpublished and removed: ${entryId}`);
-}
-
-/**
- * Handle entry deleted event
- */
-async function handleEntryDeleted(data) {
-  const { content_type_uid: contentTypeUid, entry, locale } = data;
-
-  if (!contentTypeUid || !entry || !entry.uid) {
-    logger.warn("Invalid entry deleted data");
-    return;
-  }
-
-  const entryId = `${contentTypeUid}_${entry.uid}_${locale || "en-us"}`;
-
-  // Remove from Supabase
-  const { error } = await supabaseService.client
-    .from("content_entries")
-    .delete()
-    .eq("id", entryId);
-
-  if (error) {
-    throw error;
-  }
-
-  logger.info(`🗑️ Entry deleted and removed: ${entryId}`);
-}
-
 module.exports = router;
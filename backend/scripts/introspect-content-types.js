@@ -0,0 +1,63 @@
+const contentTypeConfigService = require('../services/contentTypeConfigs');
+const schemaIntrospectionService = require('../services/schemaIntrospection');
+
+/**
+ * Print the configuration proposed from each Contentstack content type schema
+ * next to the active one.
+ *
+ * Usage: node scripts/introspect-content-types.js [--content-types a,b] [--json]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const contentTypesIndex = args.indexOf('--content-types');
+  const uids =
+    contentTypesIndex !== -1 && contentTypesIndex + 1 < args.length
+      ? args[contentTypesIndex + 1].split(',')
+      : null;
+
+  // Compare against stored configurations, not just the built-in defaults
+  await contentTypeConfigService.load().catch((error) => {
+    console.warn('⚠️  Could not load stored configurations:', error.message);
+  });
+
+  const proposals = await schemaIntrospectionService.introspect(uids);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(proposals, null, 2));
+    return;
+  }
+
+  if (proposals.length === 0) {
+    console.log('No matching content types found in Contentstack');
+    return;
+  }
+
+  for (const proposal of proposals) {
+    console.log(`\n📄 ${proposal.uid} (current config: ${proposal.source})`);
+
+    if (proposal.diff.length === 0) {
+      console.log('   ✅ Current configuration matches the proposal');
+    }
+
+    for (const { key, current, proposed } of proposal.diff) {
+      console.log(`   ${key}:`);
+      console.log(`     - current:  ${JSON.stringify(current)}`);
+      console.log(`     + proposed: ${JSON.stringify(proposed)}`);
+    }
+
+    for (const { uid, kind, reason } of proposal.skipped) {
+      console.log(`   ⏭️  skipped ${uid} (${kind}): ${reason}`);
+    }
+  }
+
+  console.log(
+    '\n💡 Apply a proposal with POST/PUT /api/admin/content-types (GET /api/admin/content-types/<uid>/proposal returns it as JSON)'
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Schema introspection failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,190 @@
+const contentstackService = require('../services/contentstack');
+const supabaseService = require('../services/supabase');
+const embeddingMigrationService = require('../services/embeddingMigration');
+const {
+  buildEntryId,
+  buildChunkId,
+  parseDocumentId
+} = require('../utils/documentIds');
+
+const SHADOW_TABLE = 'content_entries_shadow';
+
+/**
+ * One-off rewrite of indexed rows to `content_type:uid:locale` document IDs.
+ *
+ * Rows indexed under the bare entry uid are renamed when the entry is still
+ * published in their locale. Rows of entries that are not (webhook deletes
+ * used to miss them), of deleted content types, or without a content type or
+ * locale are removed. Everything is read before anything is written, so a
+ * failing Contentstack request leaves the index untouched. The shadow index
+ * of an active embedding migration is rewritten too.
+ *
+ * Usage: node scripts/migrate-document-ids.js [--dry-run]
+ */
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  const tables = ['content_entries'];
+
+  if (await embeddingMigrationService.getActiveMigration()) {
+    tables.push(SHADOW_TABLE);
+  }
+
+  const contentTypes = new Set(
+    (await contentstackService.getContentTypes()).map(
+      (contentType) => contentType.uid
+    )
+  );
+  let changed = 0;
+
+  for (const table of tables) {
+    console.log(`\n🔎 Scanning ${table}...`);
+    const { renames, orphans, current } = await planTable(table, contentTypes);
+
+    console.log(`   ${current} rows already use document IDs`);
+    console.log(`   ${renames.length} rows to rename`);
+    console.log(`   ${orphans.length} orphaned rows to remove`);
+
+    if (dryRun) {
+      for (const rename of renames.slice(0, 5)) {
+        console.log(`   ${rename.id} → ${rename.new_id}`);
+      }
+      for (const id of orphans.slice(0, 5)) {
+        console.log(`   ✗ ${id}`);
+      }
+      continue;
+    }
+
+    for (let i = 0; i < renames.length; i += 500) {
+      await supabaseService.rewriteContentEntryIds(
+        renames.slice(i, i + 500),
+        table
+      );
+    }
+    for (let i = 0; i < orphans.length; i += 100) {
+      await supabaseService.deleteContentEntryRows(
+        orphans.slice(i, i + 100),
+        table
+      );
+    }
+
+    changed += renames.length + orphans.length;
+    console.log(`✅ ${table} migrated`);
+  }
+
+  if (dryRun) {
+    console.log(
+      '\n💡 Dry run, nothing was changed. Run without --dry-run to apply.'
+    );
+  } else if (changed > 0) {
+    // Cached search results still hold the old IDs
+    await supabaseService.bumpIndexVersion();
+  }
+}
+
+/**
+ * Work out the new ID of every legacy row of a table and the rows to remove
+ */
+async function planTable(table, contentTypes) {
+  const legacyRows = [];
+  let current = 0;
+
+  for (let afterId = ''; ; ) {
+    const page = await supabaseService.listContentEntryIds(
+      afterId,
+      1000,
+      table
+    );
+    if (page.length === 0) {
+      break;
+    }
+
+    for (const row of page) {
+      if (parseDocumentId(row.id)) {
+        current++;
+      } else {
+        legacyRows.push(row);
+      }
+    }
+    afterId = page[page.length - 1].id;
+  }
+
+  // Legacy rows carry the entry uid as their parent (or ID before chunking)
+  const groups = new Map();
+  const orphans = [];
+
+  for (const row of legacyRows) {
+    const uid = row.parent_id || row.id.split('#')[0];
+
+    if (
+      !row.content_type ||
+      !row.locale ||
+      !contentTypes.has(row.content_type)
+    ) {
+      orphans.push(row.id);
+      continue;
+    }
+
+    const key = `${row.content_type}\u0000${row.locale}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        contentType: row.content_type,
+        locale: row.locale,
+        rows: []
+      });
+    }
+    groups.get(key).rows.push({ ...row, uid });
+  }
+
+  const renames = [];
+
+  for (const { contentType, locale, rows } of groups.values()) {
+    const published = await getPublishedUids(
+      contentType,
+      [...new Set(rows.map((row) => row.uid))],
+      locale
+    );
+
+    for (const row of rows) {
+      if (!published.has(row.uid)) {
+        orphans.push(row.id);
+        continue;
+      }
+
+      const parentId = buildEntryId(contentType, row.uid, locale);
+      renames.push({
+        id: row.id,
+        new_id: buildChunkId(parentId, row.chunk_index || 0),
+        parent_id: parentId
+      });
+    }
+  }
+
+  return { renames, orphans, current };
+}
+
+/**
+ * Uids of the given entries that are published in a locale
+ */
+async function getPublishedUids(contentType, uids, locale) {
+  const published = new Set();
+
+  for (let i = 0; i < uids.length; i += 100) {
+    const entries = await contentstackService.getEntriesByIds(
+      contentType,
+      uids.slice(i, i + 100),
+      locale
+    );
+    for (const entry of entries) {
+      published.add(entry.uid);
+    }
+  }
+
+  return published;
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Document ID migration failed:', error.message);
+    process.exit(1);
+  });
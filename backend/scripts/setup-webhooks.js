@@ -126,18 +126,39 @@ class WebhookSetup {
   async createWebhook() {
     console.log('\n🚀 Creating webhook...');
     
+    // Credentials the backend verifies on every delivery
+    const { basicAuth, secretHeader } = config.webhooks;
+    if (!basicAuth.password && !secretHeader.value) {
+      console.warn('⚠️  Neither WEBHOOK_BASIC_AUTH_PASSWORD nor WEBHOOK_SECRET is set, the backend will reject deliveries');
+    }
+
     const webhookData = {
       webhook: {
         name: 'Smart Search Sync',
         destinations: [
           {
             target_url: this.webhookUrl,
-            http_basic_auth: '',
-            http_basic_password: '',
-            custom_header: []
+            http_basic_auth: basicAuth.username || '',
+            http_basic_password: basicAuth.password || '',
+            custom_header: secretHeader.value
+              ? [{ header_name: secretHeader.name, value: secretHeader.value }]
+              : []
           }
         ],
-        channels: ['entry.publish', 'entry.unpublish', 'entry.delete'],
+        channels: [
+          'entry.publish',
+          'entry.unpublish',
+          'entry.delete',
+          'asset.publish',
+          'asset.unpublish',
+          'asset.delete',
+          'content_type.update',
+          'content_type.delete',
+          'release.deploy',
+          'locale.update',
+          'locale.delete',
+          'environment.delete'
+        ],
         branches: [config.contentstack.environment],
         retry_policy: 'manual',
         disabled: false,
@@ -0,0 +1,336 @@
+const contentTypeManager = require("./contentTypeManager");
+const contentstackService = require("./contentstack");
+const supabaseService = require("./supabase");
+const logger = require("../utils/logger");
+const config = require("../utils/config");
+
+const FIELD_LIST_KEYS = [
+  "embeddingFields",
+  "titleFields",
+  "snippetFields",
+  "tagFields",
+  "categoryFields",
+];
+const REQUIRED_KEYS = [
+  "name",
+  "embeddingFields",
+  "titleFields",
+  "snippetFields",
+];
+const STRING_KEYS = ["name", "urlTemplate", "icon", "color"];
+const CONFIG_KEYS = [
+  ...FIELD_LIST_KEYS,
+  ...STRING_KEYS,
+  "searchWeight",
+  "searchBoost",
+  "references",
+  "referenceDepth",
+  "filterOptions",
+];
+// Keys whose changes alter the embedded text of every entry of the type
+const EMBEDDING_KEYS = [
+  "embeddingFields",
+  "titleFields",
+  "references",
+  "referenceDepth",
+];
+
+// Entry fields Contentstack adds outside the content type schema
+const SYSTEM_FIELDS = [
+  "uid",
+  "url",
+  "tags",
+  "locale",
+  "created_at",
+  "updated_at",
+  "publish_details",
+];
+// searchWeight keys the scoring service reads besides schema fields
+const GENERIC_WEIGHT_KEYS = ["title", "content", "tags"];
+const URL_PLACEHOLDERS = ["baseUrl", "contentType", "slug", "uid"];
+
+/**
+ * Content type configurations stored in Supabase. They are validated against
+ * the live Contentstack schema and hot-reloaded into the content type manager,
+ * overriding its built-in defaults.
+ */
+class ContentTypeConfigService {
+  constructor() {
+    this.storedUids = new Set();
+    this.lastLoadedAt = null;
+  }
+
+  /**
+   * Load stored configurations into the content type manager. Configurations
+   * deleted since the last load are removed.
+   */
+  async load() {
+    const rows = await supabaseService.listContentTypeConfigs();
+    const uids = new Set();
+
+    for (const row of rows) {
+      try {
+        contentTypeManager.registerContentType(row.uid, row.config);
+        uids.add(row.uid);
+      } catch (error) {
+        logger.warn(
+          `Skipping invalid stored content type config ${row.uid}:`,
+          error.message
+        );
+      }
+    }
+
+    for (const uid of this.storedUids) {
+      if (!uids.has(uid)) {
+        contentTypeManager.removeContentType(uid);
+      }
+    }
+
+    this.storedUids = uids;
+    this.lastLoadedAt = new Date().toISOString();
+    logger.info(`Loaded ${uids.size} stored content type configurations`);
+    return uids.size;
+  }
+
+  /**
+   * Whether a content type's configuration comes from the database
+   */
+  isStored(uid) {
+    return this.storedUids.has(uid);
+  }
+
+  /**
+   * Check the shape of a configuration. Returns a list of problems.
+   */
+  validate(contentTypeConfig) {
+    if (
+      !contentTypeConfig ||
+      typeof contentTypeConfig !== "object" ||
+      Array.isArray(contentTypeConfig)
+    ) {
+      return ["Configuration must be an object"];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(contentTypeConfig)) {
+      if (!CONFIG_KEYS.includes(key)) {
+        errors.push(`Unknown key: ${key}`);
+      }
+    }
+
+    for (const key of REQUIRED_KEYS) {
+      if (contentTypeConfig[key] === undefined) {
+        errors.push(`Missing required key: ${key}`);
+      }
+    }
+
+    for (const key of STRING_KEYS) {
+      const value = contentTypeConfig[key];
+      if (
+        value !== undefined &&
+        (typeof value !== "string" || value.trim().length === 0)
+      ) {
+        errors.push(`${key} must be a non-empty string`);
+      }
+    }
+
+    for (const key of FIELD_LIST_KEYS) {
+      const value = contentTypeConfig[key];
+      if (value === undefined) {
+        continue;
+      }
+
+      if (
+        !Array.isArray(value) ||
+        !value.every((field) => typeof field === "string" && field)
+      ) {
+        errors.push(`${key} must be a list of field UIDs`);
+      } else if (REQUIRED_KEYS.includes(key) && value.length === 0) {
+        errors.push(`${key} must list at least one field`);
+      }
+    }
+
+    const {
+      searchWeight,
+      searchBoost,
+      references,
+      referenceDepth,
+      filterOptions,
+      urlTemplate,
+    } = contentTypeConfig;
+    if (searchWeight !== undefined) {
+      if (!isPlainObject(searchWeight)) {
+        errors.push("searchWeight must be an object of field weights");
+      } else {
+        for (const [field, weight] of Object.entries(searchWeight)) {
+          if (typeof weight !== "number" || !(weight >= 0)) {
+            errors.push(`searchWeight.${field} must be a number >= 0`);
+          }
+        }
+      }
+    }
+
+    if (
+      searchBoost !== undefined &&
+      (typeof searchBoost !== "number" || !(searchBoost >= 0))
+    ) {
+      errors.push("searchBoost must be a number >= 0");
+    }
+
+    if (references !== undefined) {
+      if (!isPlainObject(references)) {
+        errors.push(
+          "references must map reference field UIDs to lists of field paths"
+        );
+      } else {
+        for (const [field, paths] of Object.entries(references)) {
+          if (
+            !Array.isArray(paths) ||
+            paths.length === 0 ||
+            !paths.every((path) => typeof path === "string" && path)
+          ) {
+            errors.push(`references.${field} must be a list of field paths`);
+          }
+        }
+      }
+    }
+
+    if (
+      referenceDepth !== undefined &&
+      !(
+        Number.isInteger(referenceDepth) &&
+        referenceDepth >= 0 &&
+        referenceDepth <= config.indexing.maxReferenceDepth
+      )
+    ) {
+      errors.push(
+        `referenceDepth must be an integer from 0 to ${config.indexing.maxReferenceDepth}`
+      );
+    }
+
+    if (filterOptions !== undefined && !isPlainObject(filterOptions)) {
+      errors.push("filterOptions must be an object");
+    }
+
+    if (typeof urlTemplate === "string") {
+      for (const [, placeholder] of urlTemplate.matchAll(/\$\{(\w+)\}/g)) {
+        if (!URL_PLACEHOLDERS.includes(placeholder)) {
+          errors.push(
+            `urlTemplate placeholder ${placeholder} is not supported (supported: ${URL_PLACEHOLDERS.join(
+              ", "
+            )})`
+          );
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that the content type exists in Contentstack and that every field
+   * the configuration references is in its schema. Returns a list of
+   * problems; throws when Contentstack cannot be reached.
+   */
+  async validateAgainstSchema(uid, contentTypeConfig) {
+    const contentTypes = await contentstackService.getContentTypes();
+    const contentType = contentTypes.find((ct) => ct.uid === uid);
+
+    if (!contentType) {
+      return [`Content type ${uid} does not exist in Contentstack`];
+    }
+
+    const schemaFields = new Set([
+      ...(contentType.schema || []).map((field) => field.uid),
+      ...SYSTEM_FIELDS,
+    ]);
+    const errors = [];
+
+    for (const key of FIELD_LIST_KEYS) {
+      for (const field of contentTypeConfig[key] || []) {
+        if (!schemaFields.has(field)) {
+          errors.push(`${key}: field ${field} is not in the ${uid} schema`);
+        }
+      }
+    }
+
+    for (const field of Object.keys(contentTypeConfig.references || {})) {
+      const schemaField = (contentType.schema || []).find(
+        (candidate) => candidate.uid === field
+      );
+      if (!schemaField) {
+        errors.push(`references: field ${field} is not in the ${uid} schema`);
+      } else if (schemaField.data_type !== "reference") {
+        errors.push(`references: field ${field} is not a reference field`);
+      }
+    }
+
+    for (const field of Object.keys(contentTypeConfig.searchWeight || {})) {
+      if (!schemaFields.has(field) && !GENERIC_WEIGHT_KEYS.includes(field)) {
+        errors.push(`searchWeight: field ${field} is not in the ${uid} schema`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Store a configuration and apply it immediately. `embeddingChanged` tells
+   * whether entries of the type need re-embedding.
+   */
+  async save(uid, contentTypeConfig) {
+    const previous = contentTypeManager.getContentTypeConfig(uid);
+    const created = !this.isStored(uid);
+
+    await supabaseService.saveContentTypeConfig(uid, contentTypeConfig);
+    contentTypeManager.registerContentType(uid, contentTypeConfig);
+    this.storedUids.add(uid);
+
+    return {
+      created,
+      embeddingChanged: hasEmbeddingChanges(
+        previous,
+        contentTypeManager.getContentTypeConfig(uid)
+      ),
+    };
+  }
+
+  /**
+   * Delete a stored configuration. Built-in content types return to their
+   * default configuration.
+   */
+  async remove(uid) {
+    const previous = contentTypeManager.getContentTypeConfig(uid);
+
+    await supabaseService.deleteContentTypeConfig(uid);
+    contentTypeManager.removeContentType(uid);
+    this.storedUids.delete(uid);
+
+    return {
+      embeddingChanged: hasEmbeddingChanges(
+        previous,
+        contentTypeManager.getContentTypeConfig(uid)
+      ),
+    };
+  }
+
+  getStats() {
+    return {
+      stored: this.storedUids.size,
+      lastLoadedAt: this.lastLoadedAt,
+    };
+  }
+}
+
+function hasEmbeddingChanges(previous, current) {
+  return EMBEDDING_KEYS.some(
+    (key) => JSON.stringify(previous[key]) !== JSON.stringify(current[key])
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = new ContentTypeConfigService();
@@ -1,10 +1,14 @@
 const logger = require("../utils/logger");
 const config = require("../utils/config");
+const { chunkText } = require("../utils/chunker");
+const { extractText, flattenText } = require("../utils/contentExtractor");
 
 class ContentTypeManager {
   constructor() {
     this.contentTypeConfigs = new Map();
     this.initializeDefaultConfigs();
+    // Built-in configurations, restored when an override is removed
+    this.defaultConfigs = new Map(this.contentTypeConfigs);
   }
 
   /**
@@ -25,6 +29,8 @@ class ContentTypeManager {
         content: 1.0,
         tags: 0.5
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {
         category: true,
         tags: true,
@@ -49,6 +55,8 @@ class ContentTypeManager {
         features: 1.0,
         tags: 0.8
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {
         category: true,
         price: true,
@@ -72,6 +80,8 @@ class ContentTypeManager {
         content: 1.5,
         summary: 1.0
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {
         section: true,
         version: true,
@@ -94,6 +104,8 @@ class ContentTypeManager {
         question: 3.0,
         answer: 1.0
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {
         category: true
       },
@@ -115,6 +127,8 @@ class ContentTypeManager {
         description: 1.0,
         content: 0.8
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {},
       icon: '📄',
       color: '#6b7280'
@@ -140,6 +154,8 @@ class ContentTypeManager {
       categoryFields: [],
       urlTemplate: '${baseUrl}/${contentType}/${slug}',
       searchWeight: {},
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {},
       icon: '📄',
       color: '#6b7280',
@@ -150,6 +166,29 @@ class ContentTypeManager {
     logger.info(`Registered custom content type configuration: ${uid}`);
   }
 
+  /**
+   * Remove a registered configuration. Built-in content types fall back to
+   * their default configuration.
+   */
+  removeContentType(uid) {
+    if (this.defaultConfigs.has(uid)) {
+      this.contentTypeConfigs.set(uid, this.defaultConfigs.get(uid));
+      logger.info(`Restored default content type configuration: ${uid}`);
+      return;
+    }
+
+    if (this.contentTypeConfigs.delete(uid)) {
+      logger.info(`Removed custom content type configuration: ${uid}`);
+    }
+  }
+
+  /**
+   * Whether a content type has a registered (built-in or custom) configuration
+   */
+  hasContentType(uid) {
+    return this.contentTypeConfigs.has(uid);
+  }
+
   /**
    * Get configuration for a content type
    */
@@ -173,6 +212,8 @@ class ContentTypeManager {
         title: 2.0,
         content: 1.0
       },
+      searchBoost: 1.0,
+      references: {},
       filterOptions: {
         category: true
       },
@@ -182,25 +223,122 @@ class ContentTypeManager {
   }
 
   /**
-   * Generate embedding text based on content type configuration
+   * Generate embedding text based on content type configuration. Field
+   * weights (searchWeight) are applied at query time by the scoring service.
    */
   generateEmbeddingText(entry, contentTypeUid) {
     const config = this.getContentTypeConfig(contentTypeUid);
-    const texts = [];
 
-    for (const field of config.embeddingFields) {
-      const value = this.extractFieldValue(entry, field);
-      if (value) {
-        const weight = config.searchWeight[field] || 1.0;
-        // Repeat text based on weight to emphasize important fields
-        const repetitions = Math.ceil(weight);
-        for (let i = 0; i < repetitions; i++) {
-          texts.push(value);
+    return [
+      ...config.embeddingFields.map(field => this.extractFieldValue(entry, field)),
+      this.extractReferenceText(entry, contentTypeUid)
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Split an entry into passages for chunked indexing. Each passage is
+   * embedded with the entry title (and section heading) as context.
+   */
+  generateChunks(entry, contentTypeUid, options = {}) {
+    const config = this.getContentTypeConfig(contentTypeUid);
+    const title = this.extractTitle(entry, contentTypeUid);
+
+    // Title fields are added to every passage, so keep them out of the body
+    const bodyParts = [
+      ...config.embeddingFields
+        .filter(field => !config.titleFields.includes(field))
+        .map(field => this.extractFieldValue(entry, field)),
+      this.extractReferenceText(entry, contentTypeUid)
+    ].filter(Boolean);
+
+    const passages = chunkText(bodyParts.join('\n\n'), options);
+    if (passages.length === 0) {
+      passages.push({ index: 0, text: title, heading: null });
+    }
+
+    return passages.map(passage => ({
+      index: passage.index,
+      passage: flattenText(passage.text),
+      embeddingText: [title, passage.heading, passage.text]
+        .filter(Boolean)
+        .join('\n\n')
+    }));
+  }
+
+  /**
+   * Contentstack include paths for the reference fields a content type
+   * resolves. Subfield paths such as `category.title` add a nested include
+   * (`related_products.category`) while within the reference depth.
+   */
+  getReferenceIncludes(contentTypeUid) {
+    const { references = {}, referenceDepth } = this.getContentTypeConfig(contentTypeUid);
+    const maxDepth = Math.min(
+      referenceDepth ?? config.indexing.referenceDepth,
+      config.indexing.maxReferenceDepth
+    );
+    const includes = new Set();
+
+    if (maxDepth < 1) {
+      return [];
+    }
+
+    for (const [field, subfields] of Object.entries(references)) {
+      includes.add(field);
+
+      for (const subfield of subfields) {
+        // Every segment but the last names a nested reference field
+        const segments = subfield.split('.').slice(0, -1);
+        for (let depth = 2; depth <= Math.min(segments.length + 1, maxDepth); depth++) {
+          includes.add([field, ...segments.slice(0, depth - 1)].join('.'));
         }
       }
     }
 
-    return texts.join(' ');
+    return Array.from(includes);
+  }
+
+  /**
+   * Registered content types that resolve at least one reference field
+   */
+  getReferencingContentTypes() {
+    return Array.from(this.contentTypeConfigs.keys()).filter(
+      uid => this.getReferenceIncludes(uid).length > 0
+    );
+  }
+
+  /**
+   * Text of the resolved references configured for a content type, one
+   * labelled line per reference field (e.g. `Author: Jane Doe. Writes about
+   * search`). References that were not resolved contribute nothing.
+   */
+  extractReferenceText(entry, contentTypeUid) {
+    const { references = {} } = this.getContentTypeConfig(contentTypeUid);
+    const includes = new Set(this.getReferenceIncludes(contentTypeUid));
+    const lines = [];
+
+    for (const [field, subfields] of Object.entries(references)) {
+      if (!includes.has(field)) {
+        continue;
+      }
+
+      const texts = [].concat(entry[field] || [])
+        .filter(isResolvedReference)
+        .map(referenced => subfields
+          .flatMap(subfield => getPathValues(referenced, subfield.split('.')))
+          .map(value => flattenText(extractText(value)))
+          .filter(Boolean)
+          .join('. '))
+        .filter(Boolean);
+
+      if (texts.length > 0) {
+        const label = field.replace(/_/g, ' ').replace(/^\w/, l => l.toUpperCase());
+        lines.push(`${label}: ${texts.join('; ')}`);
+      }
+    }
+
+    return lines.join('\n\n');
   }
 
   /**
@@ -228,7 +366,7 @@ class ContentTypeManager {
     for (const field of config.snippetFields) {
       const value = this.extractFieldValue(entry, field);
       if (value) {
-        return this.truncateText(value, maxLength);
+        return this.truncateText(flattenText(value), maxLength);
       }
     }
 
@@ -322,58 +460,18 @@ class ContentTypeManager {
   }
 
   /**
-   * Extract field value with support for rich text and complex fields
+   * Extract field value as plain text. Rich text, markdown, HTML, groups,
+   * modular blocks and assets are handled by the content extractor.
    */
   extractFieldValue(entry, field) {
     const value = entry[field];
-    if (!value) return null;
-
-    // Handle rich text fields
-    if (typeof value === 'object' && value.json) {
-      return this.extractTextFromRichText(value);
-    }
-
-    // Handle arrays
-    if (Array.isArray(value)) {
-      return value.map(item => 
-        typeof item === 'string' ? item : (item.title || item.name || item.toString())
-      ).join(' ');
-    }
 
-    // Handle objects
-    if (typeof value === 'object') {
-      return value.title || value.name || JSON.stringify(value);
+    // Numbers are only indexed when a field is configured explicitly
+    if (typeof value === 'number') {
+      return String(value);
     }
 
-    return value.toString();
-  }
-
-  /**
-   * Extract plain text from Contentstack rich text format
-   */
-  extractTextFromRichText(richText) {
-    try {
-      if (!richText.json || !richText.json.children) {
-        return '';
-      }
-
-      const extractText = (nodes) => {
-        let text = '';
-        for (const node of nodes) {
-          if (node.type === 'text') {
-            text += node.text;
-          } else if (node.children) {
-            text += extractText(node.children);
-          }
-        }
-        return text;
-      };
-
-      return extractText(richText.json.children);
-    } catch (error) {
-      logger.warn('Failed to extract text from rich text:', error);
-      return '';
-    }
+    return extractText(value) || null;
   }
 
   /**
@@ -426,12 +524,40 @@ class ContentTypeManager {
   getStats() {
     return {
       registeredTypes: this.contentTypeConfigs.size,
-      defaultTypes: ['blog_post', 'product', 'documentation', 'faq', 'page'],
+      defaultTypes: Array.from(this.defaultConfigs.keys()),
       customTypes: Array.from(this.contentTypeConfigs.keys()).filter(
-        uid => !['blog_post', 'product', 'documentation', 'faq', 'page'].includes(uid)
+        uid => !this.defaultConfigs.has(uid)
       )
     };
   }
 }
 
+/**
+ * Unresolved references only carry their uid and content type
+ */
+function isResolvedReference(value) {
+  return Boolean(value) &&
+    typeof value === 'object' &&
+    Object.keys(value).some(key => key !== 'uid' && key !== '_content_type_uid');
+}
+
+/**
+ * Values at a dotted path, descending into reference and multiple fields
+ */
+function getPathValues(value, segments) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => getPathValues(item, segments));
+  }
+
+  if (segments.length === 0) {
+    return value === undefined || value === null ? [] : [value];
+  }
+
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  return getPathValues(value[segments[0]], segments.slice(1));
+}
+
 module.exports = new ContentTypeManager();
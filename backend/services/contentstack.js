@@ -3,6 +3,8 @@ const config = require("../utils/config");
 const logger = require("../utils/logger");
 const performanceMonitor = require("../utils/performance");
 const contentTypeManager = require("./contentTypeManager");
+const { extractText, flattenText } = require("../utils/contentExtractor");
+const { buildEntryId } = require("../utils/documentIds");
 const {
   withRetry,
   isRetryableError,
@@ -229,6 +231,7 @@ class ContentstackService {
               query.limit(limit);
               query.skip(skip);
               query.includeCount();
+              this.includeReferences(query, contentType);
               query.toJSON(); // Add this line to match fetchBlogPosts
 
               const result = await query.find();
@@ -292,6 +295,81 @@ class ContentstackService {
     );
   }
 
+  /**
+   * uid and updated_at of every published entry of a content type, to compare
+   * Contentstack with the index. Unlike other listings this one has no page
+   * limit: an incomplete list would make indexed entries look orphaned.
+   */
+  async getEntryVersions(contentType, locale = "en-us") {
+    return performanceMonitor.timeOperation(
+      "getEntryVersions",
+      async () => {
+        const versions = [];
+
+        for (let skip = 0; ; skip += 100) {
+          const page = await withRetry(
+            async () => {
+              try {
+                const query = this.stack.ContentType(contentType).Query();
+
+                query.language(locale);
+                query.only(["updated_at"]);
+                query.limit(100);
+                query.skip(skip);
+                query.toJSON();
+
+                const result = await query.find();
+
+                // Handle different response formats from the SDK
+                if (Array.isArray(result)) {
+                  return result[0] || [];
+                }
+                return result?.entries || result?.[0] || [];
+              } catch (error) {
+                const errorMessage = this.formatContentstackError(error);
+                const errorCategory = categorizeError(error);
+
+                logger.logError("getEntryVersions", error, errorCategory);
+                logger.error(
+                  `Failed to list entry versions for content type ${contentType}:`,
+                  {
+                    originalError: error,
+                    formattedMessage: errorMessage,
+                    errorCategory,
+                    locale,
+                    skip,
+                  }
+                );
+                throw new Error(
+                  `Contentstack API error for ${contentType}: ${errorMessage}`
+                );
+              }
+            },
+            {
+              maxRetries: config.contentstack.retryLimit || 3,
+              baseDelay: config.contentstack.retryDelay || 1000,
+              shouldRetry: isRetryableError,
+            }
+          );
+
+          versions.push(
+            ...page.map((entry) => ({
+              uid: entry.uid,
+              updatedAt: entry.updated_at,
+            }))
+          );
+
+          if (page.length < 100) {
+            break;
+          }
+        }
+
+        return versions;
+      },
+      { contentType, locale }
+    );
+  }
+
   /**
    * Fetch entries by specific IDs with retry logic
    */
@@ -328,6 +406,7 @@ class ContentstackService {
               query.language(locale);
               query.where("uid", { $in: ids });
               query.includeCount();
+              this.includeReferences(query, contentType);
               query.toJSON(); // Add this line for consistency
 
               const result = await query.find();
@@ -387,6 +466,220 @@ class ContentstackService {
     );
   }
 
+  /**
+   * Resolve the reference fields configured for a content type
+   */
+  includeReferences(query, contentType) {
+    const includes = contentTypeManager.getReferenceIncludes(contentType);
+    if (includes.length > 0) {
+      query.includeReference(includes);
+    }
+  }
+
+  /**
+   * Refetch entries whose references are configured to be resolved. Entries
+   * from webhooks and the Sync API only carry reference uids. Entries that
+   * can no longer be fetched are returned unchanged.
+   */
+  async resolveReferences(contentType, entries, locale = "en-us") {
+    if (
+      entries.length === 0 ||
+      contentTypeManager.getReferenceIncludes(contentType).length === 0
+    ) {
+      return entries;
+    }
+
+    const resolved = new Map();
+    for (let i = 0; i < entries.length; i += 100) {
+      const ids = entries.slice(i, i + 100).map((entry) => entry.uid);
+      const fetched = await this.getEntriesByIds(contentType, ids, locale);
+      for (const entry of fetched) {
+        resolved.set(entry.uid, entry);
+      }
+    }
+
+    return entries.map((entry) => resolved.get(entry.uid) || entry);
+  }
+
+  /**
+   * Find the entries that resolve a reference to any of the given entry uids,
+   * so they can be re-indexed when a referenced entry is republished.
+   * Returns `{ contentType, entries }` groups with references resolved.
+   */
+  async getReferencingEntries(uids, locale = "en-us") {
+    if (!Array.isArray(uids) || uids.length === 0) {
+      return [];
+    }
+
+    return performanceMonitor.timeOperation(
+      "getReferencingEntries",
+      async () => {
+        const groups = [];
+
+        for (const contentType of contentTypeManager.getReferencingContentTypes()) {
+          const found = new Map();
+
+          // 100 uids at a time, like resolveReferences, so large deltas stay
+          // within the Delivery API's query length
+          for (let i = 0; i < uids.length; i += 100) {
+            const batch = uids.slice(i, i + 100);
+            // { author: { $in_query: { uid: { $in: uids } } } }, nested for
+            // references resolved more than one level deep
+            const conditions = contentTypeManager
+              .getReferenceIncludes(contentType)
+              .map((path) =>
+                path
+                  .split(".")
+                  .reduceRight(
+                    (inner, field) => ({ [field]: { $in_query: inner } }),
+                    { uid: { $in: batch } }
+                  )
+              );
+            const entries = await this.findAllEntries(
+              contentType,
+              conditions,
+              locale,
+              "getReferencingEntries"
+            );
+
+            // An entry referencing uids of several batches is found once each
+            for (const entry of entries) {
+              found.set(entry.uid, entry);
+            }
+          }
+
+          if (found.size > 0) {
+            groups.push({ contentType, entries: Array.from(found.values()) });
+          }
+        }
+
+        logger.info("Fetched entries referencing updated entries", {
+          uids: uids.length,
+          locale,
+          referencing: groups.reduce(
+            (total, group) => total + group.entries.length,
+            0
+          ),
+        });
+
+        return groups;
+      },
+      { locale, uidsCount: uids.length }
+    );
+  }
+
+  /**
+   * Find the entries whose file fields (including those nested in groups,
+   * global fields and modular blocks) hold any of the given asset uids.
+   * Returns `{ contentType, entries }` groups with references resolved.
+   */
+  async getEntriesWithAssets(assetUids, locale = "en-us") {
+    if (!Array.isArray(assetUids) || assetUids.length === 0) {
+      return [];
+    }
+
+    return performanceMonitor.timeOperation(
+      "getEntriesWithAssets",
+      async () => {
+        const groups = [];
+
+        for (const contentType of await this.getContentTypes()) {
+          const conditions = getFileFieldPaths(contentType.schema).map(
+            (path) => ({ [path]: { $in: assetUids } })
+          );
+
+          if (conditions.length === 0) {
+            continue;
+          }
+
+          const entries = await this.findAllEntries(
+            contentType.uid,
+            conditions,
+            locale,
+            "getEntriesWithAssets"
+          );
+
+          if (entries.length > 0) {
+            groups.push({ contentType: contentType.uid, entries });
+          }
+        }
+
+        logger.info("Fetched entries embedding updated assets", {
+          assets: assetUids.length,
+          locale,
+          entries: groups.reduce(
+            (total, group) => total + group.entries.length,
+            0
+          ),
+        });
+
+        return groups;
+      },
+      { locale, assetsCount: assetUids.length }
+    );
+  }
+
+  /**
+   * Fetch every entry of a content type matching any of the given query
+   * conditions, 100 at a time
+   */
+  async findAllEntries(contentType, conditions, locale, operation) {
+    const entries = [];
+
+    for (let skip = 0; ; skip += 100) {
+      const page = await withRetry(
+        async () => {
+          try {
+            const query = this.stack.ContentType(contentType).Query();
+
+            query.language(locale);
+            query.query({ $or: conditions });
+            query.limit(100);
+            query.skip(skip);
+            this.includeReferences(query, contentType);
+            query.toJSON();
+
+            const result = await query.find();
+
+            // Handle different response formats from the SDK
+            if (Array.isArray(result)) {
+              return result[0] || [];
+            }
+            return result?.entries || result?.[0] || [];
+          } catch (error) {
+            const errorMessage = this.formatContentstackError(error);
+            const errorCategory = categorizeError(error);
+
+            logger.logError(operation, error, errorCategory);
+            logger.error(`Failed to query ${contentType} entries:`, {
+              originalError: error,
+              formattedMessage: errorMessage,
+              errorCategory,
+              operation,
+              locale,
+            });
+            throw new Error(
+              `Contentstack API error for ${contentType}: ${errorMessage}`
+            );
+          }
+        },
+        {
+          maxRetries: config.contentstack.retryLimit || 3,
+          baseDelay: config.contentstack.retryDelay || 1000,
+          shouldRetry: isRetryableError,
+        }
+      );
+
+      entries.push(...page);
+
+      if (page.length < 100) {
+        break;
+      }
+    }
+
+    return entries;
+  }
+
   /**
    * Fetch all blog posts with retry logic
    */
@@ -456,9 +749,14 @@ class ContentstackService {
   }
 
   /**
-   * Fetch all entries across all content types with pagination
+   * Fetch all entries across all content types with pagination.
+   * `onBatch` is called after each batch with the content type, locale,
+   * batch number and entries fetched so far; aborting `signal` stops before
+   * the next batch.
    */
-  async getAllEntries(locales = ["en-us"], batchSize = 50) {
+  async getAllEntries(locales = ["en-us"], batchSize = 50, options = {}) {
+    const { signal = null, onBatch = null } = options;
+
     return performanceMonitor.timeOperation(
       "getAllEntries",
       async () => {
@@ -489,6 +787,10 @@ class ContentstackService {
               const contentTypeStartTime = Date.now();
 
               while (hasMore) {
+                if (signal) {
+                  signal.throwIfAborted();
+                }
+
                 try {
                   batchCount++;
                   logger.debug(
@@ -518,6 +820,15 @@ class ContentstackService {
                   allEntries.push(...transformedEntries);
                   contentTypeEntries += entries.length;
 
+                  if (onBatch) {
+                    await onBatch({
+                      contentType: uid,
+                      locale,
+                      batch: batchCount,
+                      fetched: allEntries.length,
+                    });
+                  }
+
                   logger.debug(
                     `Batch ${batchCount}: Fetched ${entries.length} entries for ${uid} (${locale})`,
                     {
@@ -625,6 +936,11 @@ class ContentstackService {
 
           return allEntries;
         } catch (error) {
+          // Cancelled by the caller, not a Contentstack failure
+          if (signal && signal.aborted) {
+            throw error;
+          }
+
           const errorMessage = this.formatContentstackError(error);
           const errorCategory = categorizeError(error);
 
@@ -643,6 +959,84 @@ class ContentstackService {
     );
   }
 
+  /**
+   * Fetch changes through the Contentstack Sync API, following pagination.
+   * Pass `syncToken` for a delta since the last sync, or `init: true` (with
+   * optional `locale`, `startFrom`) to start a new sync.
+   * Returns every sync item plus the token for the next delta.
+   */
+  async syncDelta({ syncToken, init = false, locale, startFrom } = {}) {
+    return performanceMonitor.timeOperation(
+      "syncDelta",
+      async () => {
+        const items = [];
+        let params;
+
+        if (syncToken) {
+          params = { sync_token: syncToken };
+        } else if (init) {
+          params = { init: true };
+          if (locale) params.locale = locale;
+          if (startFrom) params.start_from = startFrom;
+        } else {
+          throw new Error("syncDelta requires a sync token or init: true");
+        }
+
+        for (let page = 1; params; page++) {
+          const result = await withRetry(
+            async () => {
+              try {
+                return await this.stack.sync(params);
+              } catch (error) {
+                const errorMessage = this.formatContentstackError(error);
+                const errorCategory = categorizeError(error);
+
+                logger.logError("syncDelta", error, errorCategory);
+                logger.error("Failed to fetch sync delta:", {
+                  originalError: error,
+                  formattedMessage: errorMessage,
+                  errorCategory,
+                  page,
+                  locale,
+                });
+                throw new Error(`Contentstack Sync API error: ${errorMessage}`);
+              }
+            },
+            {
+              maxRetries: config.contentstack.retryLimit || 3,
+              baseDelay: config.contentstack.retryDelay || 1000,
+              shouldRetry: isRetryableError,
+            }
+          );
+
+          items.push(...(result.items || []));
+
+          if (result.pagination_token) {
+            params = { pagination_token: result.pagination_token };
+            await this.delay(200);
+          } else {
+            params = null;
+            syncToken = result.sync_token;
+          }
+
+          // Safety check to prevent infinite loops
+          if (page > 1000) {
+            throw new Error("Sync API pagination did not terminate");
+          }
+        }
+
+        logger.info("Successfully fetched sync delta", {
+          items: items.length,
+          locale,
+          init,
+        });
+
+        return { items, syncToken };
+      },
+      { init, locale, startFrom }
+    );
+  }
+
   /**
    * Transform entry to standard format for search indexing
    */
@@ -660,12 +1054,19 @@ class ContentstackService {
       contentTypeUid
     );
 
+    // Split long entries into overlapping passages, one embedding each
+    const chunks = contentTypeManager.generateChunks(entry, contentTypeUid, {
+      maxTokens: config.indexing.chunkMaxTokens,
+      overlapTokens: config.indexing.chunkOverlapTokens,
+    });
+
     return {
-      id: entry.uid,
+      id: buildEntryId(contentTypeUid, entry.uid, locale),
       content_type: contentTypeUid,
       title,
       snippet,
       content: embeddingText,
+      chunks,
       tags,
       category,
       url,
@@ -707,18 +1108,11 @@ class ContentstackService {
     ];
 
     for (const field of snippetFields) {
-      if (entry[field]) {
-        let text = entry[field];
-
-        // Handle rich text fields
-        if (typeof text === "object" && text.json) {
-          text = this.extractTextFromRichText(text);
-        } else if (typeof text === "object") {
-          text = JSON.stringify(text);
-        }
+      const text = flattenText(extractText(entry[field]));
 
+      if (text) {
         // Truncate to reasonable length
-        return this.truncateText(text.toString(), 500);
+        return this.truncateText(text, 500);
       }
     }
 
@@ -765,34 +1159,6 @@ class ContentstackService {
     return null;
   }
 
-  /**
-   * Extract plain text from Contentstack rich text format
-   */
-  extractTextFromRichText(richText) {
-    try {
-      if (!richText.json || !richText.json.children) {
-        return "";
-      }
-
-      const extractText = (nodes) => {
-        let text = "";
-        for (const node of nodes) {
-          if (node.type === "text") {
-            text += node.text;
-          } else if (node.children) {
-            text += extractText(node.children);
-          }
-        }
-        return text;
-      };
-
-      return extractText(richText.json.children);
-    } catch (error) {
-      logger.warn("Failed to extract text from rich text:", error);
-      return "";
-    }
-  }
-
   /**
    * Generate URL for entry (customize based on your URL structure)
    */
@@ -1101,4 +1467,29 @@ class ContentstackService {
   }
 }
 
+/**
+ * Query paths of the file fields in a content type schema, e.g.
+ * `hero.image` for a file field in a group or `sections.gallery.images` for
+ * one in a modular block
+ */
+function getFileFieldPaths(schema, prefix = "") {
+  return (schema || []).flatMap((field) => {
+    const path = `${prefix}${field.uid}`;
+
+    switch (field.data_type) {
+      case "file":
+        return [path];
+      case "group":
+      case "global_field":
+        return getFileFieldPaths(field.schema, `${path}.`);
+      case "blocks":
+        return (field.blocks || []).flatMap((block) =>
+          getFileFieldPaths(block.schema, `${path}.${block.uid}.`)
+        );
+      default:
+        return [];
+    }
+  });
+}
+
 module.exports = new ContentstackService();
@@ -0,0 +1,455 @@
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const contentstackService = require("./contentstack");
+const embeddingsService = require("./embeddings");
+const supabaseService = require("./supabase");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+
+const SHADOW_TABLE = "content_entries_shadow";
+
+// Migrations in these states own the shadow index and receive dual writes
+const ACTIVE_STATUSES = ["building", "ready"];
+
+// Entries embedded and written to the shadow index per progress update
+const BUILD_BATCH_SIZE = 50;
+
+/**
+ * Zero-downtime embedding model migrations. The target model's vectors are
+ * built into a shadow index while the live index keeps serving searches;
+ * syncs and webhooks write to both until the shadow index is cut over.
+ */
+class EmbeddingMigrationService {
+  constructor() {
+    this.runningId = null;
+    this.providers = new Map();
+    // Index version at the last live model lookup
+    this.indexVersion = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Check for a model cutover made by another instance every
+   * `intervalMs`, so searches need no lookup of their own
+   */
+  startLiveModelRefresh(intervalMs = config.embeddings.liveModelRefreshMs) {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => this.syncLiveModel(), intervalMs);
+    this.refreshTimer.unref();
+  }
+
+  stopLiveModelRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Start building a shadow index for the target provider and model. The
+   * build runs in the background; progress is stored on the migration row.
+   */
+  async start({ provider, model, dimensions }) {
+    await this.syncLiveModel();
+
+    const active = await this.getActiveMigration();
+    if (active) {
+      throw new Error(
+        `Embedding migration ${active.id} is already ${active.status}`
+      );
+    }
+
+    const targetProvider = createEmbeddingProvider(
+      { ...config.embeddings, provider, model, dimensions },
+      config.openai
+    );
+
+    if (targetProvider.modelId === embeddingsService.getModelId()) {
+      throw new Error(`The live index already uses ${targetProvider.modelId}`);
+    }
+
+    await supabaseService.clearShadowIndex();
+
+    const migration = await supabaseService.createEmbeddingMigration({
+      source_model: embeddingsService.getModelId(),
+      target_provider: targetProvider.name,
+      target_model: targetProvider.model,
+      target_dimensions: targetProvider.dimensions,
+      status: "building",
+    });
+
+    this.providers.set(migration.id, targetProvider);
+
+    logger.info(`🚚 Embedding migration ${migration.id} started`, {
+      from: migration.source_model,
+      to: targetProvider.modelId,
+    });
+
+    this.build(migration, targetProvider).catch((error) => {
+      logger.error(`Embedding migration ${migration.id} crashed:`, error);
+    });
+
+    return migration;
+  }
+
+  /**
+   * Embed every entry with the target model into the shadow index
+   */
+  async build(migration, provider) {
+    this.runningId = migration.id;
+    const progress = { processed: 0, failed: 0 };
+
+    try {
+      const entries = await contentstackService.getAllEntries(
+        config.contentstack.locales
+      );
+
+      await supabaseService.updateEmbeddingMigration(migration.id, {
+        total_entries: entries.length,
+      });
+
+      for (let i = 0; i < entries.length; i += BUILD_BATCH_SIZE) {
+        // Stop if the migration was cancelled in the meantime
+        const current = await supabaseService.getEmbeddingMigration(
+          migration.id
+        );
+        if (!current || current.status !== "building") {
+          logger.info(
+            `🛑 Embedding migration ${migration.id} stopped (${
+              current?.status || "deleted"
+            })`
+          );
+          return;
+        }
+
+        const batch = entries.slice(i, i + BUILD_BATCH_SIZE);
+        const { failedEntries } = await this.indexEntries(batch, provider);
+
+        progress.processed += batch.length;
+        progress.failed += failedEntries;
+
+        await supabaseService.updateEmbeddingMigration(migration.id, {
+          processed_entries: progress.processed,
+          failed_entries: progress.failed,
+        });
+
+        logger.info(
+          `🚚 Embedding migration ${migration.id}: ${progress.processed}/${entries.length} entries`
+        );
+      }
+
+      // Only known for some models until the first vector was produced,
+      // and cutover sizes the live vector column with it
+      if (!provider.dimensions) {
+        throw new Error(
+          `No vector was produced, so the dimensions of ${provider.modelId} are unknown`
+        );
+      }
+
+      await supabaseService.updateEmbeddingMigration(migration.id, {
+        status: "ready",
+        target_dimensions: provider.dimensions,
+        completed_at: new Date().toISOString(),
+      });
+
+      logger.info(`✅ Embedding migration ${migration.id} ready for cutover`, {
+        ...progress,
+        dimensions: provider.dimensions,
+      });
+    } catch (error) {
+      logger.error(`❌ Embedding migration ${migration.id} failed:`, error);
+      await supabaseService
+        .updateEmbeddingMigration(migration.id, {
+          status: "failed",
+          error: error.message,
+          completed_at: new Date().toISOString(),
+        })
+        .catch(() => {});
+    } finally {
+      this.runningId = null;
+    }
+  }
+
+  /**
+   * Chunk and embed entries with the target provider and write them to the
+   * shadow index. Returns the number of entries with a failed chunk.
+   */
+  async indexEntries(entries, provider) {
+    const chunkRows = entries.flatMap((entry, index) =>
+      embeddingsService.buildChunkRows(entry, index)
+    );
+
+    if (chunkRows.length === 0) {
+      return { failedEntries: 0 };
+    }
+
+    const embeddings = await embeddingsService.generateEmbeddings(
+      chunkRows.map((row) => row.embeddingText),
+      config.embeddings.batchSize,
+      provider
+    );
+
+    const failedParents = new Set();
+    const shadowRows = [];
+
+    chunkRows.forEach((row, index) => {
+      if (!embeddings[index]) {
+        failedParents.add(row.parent_id);
+        return;
+      }
+
+      shadowRows.push({
+        id: row.id,
+        title: row.title,
+        snippet: row.snippet || "",
+        url: row.url || "",
+        content_type: row.content_type,
+        locale: row.locale || "en-us",
+        updated_at: row.updated_at || new Date().toISOString(),
+        embedding: embeddings[index],
+        parent_id: row.parent_id,
+        chunk_index: row.chunk_index,
+        passage: row.passage || null,
+        content_hash: embeddingsService.hashEmbeddingText(
+          row.embeddingText,
+          provider.modelId
+        ),
+        embedding_model: provider.modelId,
+        tags: row.tags || [],
+        category: row.category || null,
+        published_at: row.published_at || null,
+      });
+    });
+
+    if (shadowRows.length > 0) {
+      await supabaseService.batchUpsertContentEntries(shadowRows, SHADOW_TABLE);
+      await supabaseService.pruneEntryChunks(shadowRows, SHADOW_TABLE);
+    }
+
+    return { failedEntries: failedParents.size };
+  }
+
+  /**
+   * Dual-write entries synced to the live index into the shadow index of an
+   * active migration. Failures are logged and never fail the live sync.
+   */
+  async mirrorEntries(entries) {
+    try {
+      const migration = await this.getActiveMigration();
+      if (!migration || entries.length === 0) {
+        return;
+      }
+
+      await this.indexEntries(entries, this.getTargetProvider(migration));
+      logger.debug(
+        `Mirrored ${entries.length} entries to embedding migration ${migration.id}`
+      );
+    } catch (error) {
+      logger.warn(
+        "Failed to mirror entries to the shadow index:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Remove an entry from the shadow index of an active migration
+   */
+  async mirrorDelete(entryId) {
+    try {
+      const migration = await this.getActiveMigration();
+      if (migration) {
+        await supabaseService.deleteContentEntry(entryId, SHADOW_TABLE);
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to remove entry from the shadow index:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Remove a deleted content type from the shadow index of an active migration
+   */
+  async mirrorDeleteContentType(contentTypeUid) {
+    try {
+      const migration = await this.getActiveMigration();
+      if (migration) {
+        await supabaseService.deleteContentEntriesByType(
+          contentTypeUid,
+          SHADOW_TABLE
+        );
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to remove content type from the shadow index:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Remove a deleted locale from the shadow index of an active migration
+   */
+  async mirrorDeleteLocale(locale) {
+    try {
+      const migration = await this.getActiveMigration();
+      if (migration) {
+        await supabaseService.deleteContentEntriesByLocale(
+          locale,
+          SHADOW_TABLE
+        );
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to remove locale from the shadow index:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Empty the shadow index of an active migration along with the live index
+   */
+  async mirrorDeleteAll() {
+    try {
+      const migration = await this.getActiveMigration();
+      if (migration) {
+        await supabaseService.clearShadowIndex();
+      }
+    } catch (error) {
+      logger.warn("Failed to clear the shadow index:", error.message);
+    }
+  }
+
+  /**
+   * Atomically swap the shadow index in as the live index and switch
+   * embeddings to the target model. Other instances follow through
+   * syncLiveModel. Entries that failed to embed would be missing from the
+   * new live index, so such migrations are only cut over when forced.
+   */
+  async cutover(id, { force = false } = {}) {
+    const migration = await supabaseService.getEmbeddingMigration(id);
+    if (!migration || migration.status !== "ready") {
+      throw new Error(`Embedding migration ${id} is not ready for cutover`);
+    }
+
+    if (migration.failed_entries > 0 && !force) {
+      throw new Error(
+        `Embedding migration ${id} has ${migration.failed_entries} entries that failed to embed`
+      );
+    }
+
+    await supabaseService.cutoverEmbeddingMigration(id);
+    embeddingsService.setProvider(this.getTargetProvider(migration));
+    this.providers.delete(id);
+
+    logger.info(`🔀 Embedding migration ${id} cut over`, {
+      from: migration.source_model,
+      to: embeddingsService.getModelId(),
+    });
+
+    return supabaseService.getEmbeddingMigration(id);
+  }
+
+  /**
+   * Embed queries and content with the model of the latest cutover, which
+   * takes precedence over EMBEDDING_PROVIDER and EMBEDDING_MODEL. Cutovers
+   * bump the index version, so migrations are only read again once it
+   * changed. The current model is kept when the lookup fails.
+   * @param {number|null} indexVersion - Current index version, when known
+   */
+  async syncLiveModel(indexVersion = null) {
+    try {
+      const version = indexVersion ?? (await supabaseService.getIndexVersion());
+      if (version === this.indexVersion) {
+        return;
+      }
+
+      const [migration] = await supabaseService.listEmbeddingMigrations(1, [
+        "cut_over",
+      ]);
+      this.indexVersion = version;
+
+      if (!migration) {
+        return;
+      }
+
+      const provider = this.getTargetProvider(migration);
+      if (provider.modelId !== embeddingsService.getModelId()) {
+        embeddingsService.setProvider(provider);
+        logger.info(
+          `🔀 Using ${provider.modelId}, cut over by embedding migration ${migration.id}`
+        );
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to look up the live embedding model, keeping the current one:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Cancel a migration that has not been cut over yet
+   */
+  async cancel(id) {
+    const migration = await supabaseService.getEmbeddingMigration(id);
+    if (!migration || !ACTIVE_STATUSES.includes(migration.status)) {
+      throw new Error(`Embedding migration ${id} is not active`);
+    }
+
+    const cancelled = await supabaseService.updateEmbeddingMigration(id, {
+      status: "cancelled",
+      completed_at: new Date().toISOString(),
+    });
+    this.providers.delete(id);
+
+    logger.info(`🛑 Embedding migration ${id} cancelled`);
+    return cancelled;
+  }
+
+  /**
+   * The migration currently building or awaiting cutover, if any
+   */
+  async getActiveMigration() {
+    const [migration] = await supabaseService.listEmbeddingMigrations(
+      1,
+      ACTIVE_STATUSES
+    );
+    return migration || null;
+  }
+
+  /**
+   * Embedding provider for the target model of a migration
+   */
+  getTargetProvider(migration) {
+    if (!this.providers.has(migration.id)) {
+      this.providers.set(
+        migration.id,
+        createEmbeddingProvider(
+          {
+            ...config.embeddings,
+            provider: migration.target_provider,
+            model: migration.target_model,
+            dimensions: migration.target_dimensions,
+          },
+          config.openai
+        )
+      );
+    }
+
+    return this.providers.get(migration.id);
+  }
+
+  /**
+   * Whether this process is currently building the given migration. A
+   * building migration that is not running was interrupted by a restart.
+   */
+  isRunning(id) {
+    return this.runningId === id;
+  }
+}
+
+module.exports = new EmbeddingMigrationService();
@@ -0,0 +1,222 @@
+const OpenAI = require("openai");
+const logger = require("../utils/logger");
+
+// Known output dimensions per model, used before the first vector is seen
+const KNOWN_DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+  "Xenova/all-MiniLM-L6-v2": 384,
+  "Xenova/bge-small-en-v1.5": 384,
+  "Xenova/all-mpnet-base-v2": 768,
+};
+
+const DEFAULT_MODELS = {
+  openai: "text-embedding-3-small",
+  "azure-openai": "text-embedding-3-small",
+  "openai-compatible": "text-embedding-3-small",
+  local: "Xenova/all-MiniLM-L6-v2",
+};
+
+/**
+ * Common behaviour for embedding providers. A provider turns a batch of texts
+ * into vectors and reports the model and dimensions it produces.
+ */
+class EmbeddingProvider {
+  constructor(name, options) {
+    this.name = name;
+    this.model = options.model || DEFAULT_MODELS[name];
+    this.dimensions =
+      options.dimensions || KNOWN_DIMENSIONS[this.model] || null;
+    this.maxTokens = options.maxTokens || 4000;
+    // Delay between batches to respect remote rate limits
+    this.batchDelay = 1000;
+  }
+
+  /**
+   * Identifier stored with every vector so vectors from different models are
+   * never mixed or reused
+   */
+  get modelId() {
+    return this.name === "openai" ? this.model : `${this.name}/${this.model}`;
+  }
+
+  /**
+   * Generate one embedding per text
+   */
+  async embed(texts) {
+    throw new Error(`${this.name} provider does not implement embed()`);
+  }
+
+  /**
+   * Learn the dimensions from the first vector when the model is unknown
+   */
+  recordDimensions(embeddings) {
+    if (!this.dimensions && embeddings.length > 0 && embeddings[0]) {
+      this.dimensions = embeddings[0].length;
+      logger.info(`Detected ${this.dimensions} embedding dimensions`, {
+        provider: this.name,
+        model: this.model,
+      });
+    }
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.model,
+      modelId: this.modelId,
+      dimensions: this.dimensions,
+      maxTokens: this.maxTokens,
+    };
+  }
+}
+
+/**
+ * OpenAI embeddings API. Also used for Azure OpenAI and OpenAI-compatible
+ * HTTP endpoints, which differ only in how the client is constructed.
+ */
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor(name, options, clientOptions) {
+    super(name, options);
+    this.client = new OpenAI(clientOptions);
+    // Only text-embedding-3 models accept a custom output size
+    this.requestDimensions =
+      options.dimensions && this.model.startsWith("text-embedding-3")
+        ? options.dimensions
+        : undefined;
+  }
+
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.requestDimensions && { dimensions: this.requestDimensions }),
+    });
+
+    if (!response.data || response.data.length !== texts.length) {
+      throw new Error(
+        `Expected ${texts.length} embeddings from ${this.name}, got ${
+          response.data?.length || 0
+        }`
+      );
+    }
+
+    // Responses are not guaranteed to preserve input order
+    const embeddings = [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+
+    this.recordDimensions(embeddings);
+    return embeddings;
+  }
+}
+
+/**
+ * Local CPU sentence encoder using transformers.js (ONNX). Needs the optional
+ * `@xenova/transformers` package; models are downloaded to the cache
+ * directory on first use unless remote models are disabled.
+ */
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor(options) {
+    super("local", options);
+    this.cacheDir = options.cacheDir;
+    this.allowRemoteModels = options.allowRemoteModels !== false;
+    this.batchDelay = 0;
+    this.extractorPromise = null;
+  }
+
+  async getExtractor() {
+    if (!this.extractorPromise) {
+      this.extractorPromise = import("@xenova/transformers")
+        .then(({ pipeline, env }) => {
+          if (this.cacheDir) {
+            env.cacheDir = this.cacheDir;
+          }
+          env.allowRemoteModels = this.allowRemoteModels;
+
+          logger.info(`🧠 Loading local embedding model ${this.model}`);
+          return pipeline("feature-extraction", this.model);
+        })
+        .catch((error) => {
+          this.extractorPromise = null;
+          throw new Error(
+            `Local embedding model unavailable: ${error.message}. ` +
+              "Install @xenova/transformers and make sure the model is cached or downloadable."
+          );
+        });
+    }
+
+    return this.extractorPromise;
+  }
+
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    const embeddings = output.tolist();
+
+    this.recordDimensions(embeddings);
+    return embeddings;
+  }
+}
+
+/**
+ * Create the embedding provider selected in config.embeddings
+ */
+function createEmbeddingProvider(embeddingsConfig, openaiConfig = {}) {
+  const { provider = "openai" } = embeddingsConfig;
+  const options = {
+    model: embeddingsConfig.model,
+    dimensions: embeddingsConfig.dimensions,
+    maxTokens: embeddingsConfig.maxTokens,
+  };
+
+  switch (provider) {
+    case "openai":
+      return new OpenAIEmbeddingProvider("openai", options, {
+        apiKey: openaiConfig.apiKey,
+      });
+
+    case "azure-openai": {
+      const { endpoint, apiKey, deployment, apiVersion } =
+        embeddingsConfig.azure;
+      const resourceUrl = endpoint.replace(/\/+$/, "");
+      return new OpenAIEmbeddingProvider("azure-openai", options, {
+        apiKey,
+        baseURL: `${resourceUrl}/openai/deployments/${deployment}`,
+        defaultQuery: { "api-version": apiVersion },
+        defaultHeaders: { "api-key": apiKey },
+      });
+    }
+
+    case "openai-compatible":
+      return new OpenAIEmbeddingProvider("openai-compatible", options, {
+        // Many self-hosted endpoints do not check the key
+        apiKey: embeddingsConfig.compatible.apiKey || "not-required",
+        baseURL: embeddingsConfig.compatible.baseUrl,
+      });
+
+    case "local":
+      return new LocalEmbeddingProvider({
+        ...options,
+        ...embeddingsConfig.local,
+        model: embeddingsConfig.model || embeddingsConfig.local.model,
+      });
+
+    default:
+      throw new Error(
+        `Unknown embedding provider '${provider}'. Valid options: ${Object.keys(
+          DEFAULT_MODELS
+        ).join(", ")}`
+      );
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  EmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  KNOWN_DIMENSIONS,
+  PROVIDERS: Object.keys(DEFAULT_MODELS),
+};
@@ -1,39 +1,82 @@
-const OpenAI = require("openai");
+const crypto = require("crypto");
 const config = require("../utils/config");
 const logger = require("../utils/logger");
 const contentTypeManager = require("./contentTypeManager");
+const supabaseService = require("./supabase");
+const queryEmbeddingCache = require("./queryEmbeddingCache");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { buildChunkId } = require("../utils/documentIds");
+const { extractText } = require("../utils/contentExtractor");
+const { normalizeQuery } = require("../utils/cacheStores");
 
 class EmbeddingsService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+    this.provider = createEmbeddingProvider(config.embeddings, config.openai);
 
-    logger.info("🤖 OpenAI client initialized");
+    logger.info("🤖 Embedding provider initialized", this.provider.getInfo());
+  }
+
+  /**
+   * Identifier of the model producing vectors, stored with every row
+   */
+  getModelId() {
+    return this.provider.modelId;
+  }
+
+  /**
+   * Vector dimensions of the active provider (null until known)
+   */
+  getDimensions() {
+    return this.provider.dimensions;
+  }
+
+  /**
+   * Replace the active provider, e.g. after an embedding migration cutover
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    logger.info("🤖 Embedding provider switched", provider.getInfo());
+
+    // Cached query vectors belong to the previous model
+    queryEmbeddingCache.invalidate();
+  }
+
+  /**
+   * Generate embedding for a search query, reusing cached vectors of
+   * recently seen queries. The normalized query is embedded, so queries
+   * sharing a cache key always get the same vector.
+   */
+  async generateQueryEmbedding(text, provider = this.provider) {
+    const query = normalizeQuery(text);
+    const cached = await queryEmbeddingCache.get(provider.modelId, query);
+    if (cached) {
+      return cached;
+    }
+
+    const embedding = await this.generateEmbedding(query, provider);
+    await queryEmbeddingCache.set(provider.modelId, query, embedding);
+    return embedding;
   }
 
   /**
    * Generate embedding for a single text
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, provider = this.provider) {
     try {
       if (!text || text.trim().length === 0) {
         throw new Error("Text cannot be empty");
       }
 
       // Truncate text if it's too long
-      const truncatedText = this.truncateText(text, config.openai.maxTokens);
+      const truncatedText = this.truncateText(text, provider.maxTokens);
 
-      const response = await this.openai.embeddings.create({
-        model: config.openai.model,
-        input: truncatedText,
-      });
+      const [embedding] = await provider.embed([truncatedText]);
 
-      if (!response.data || response.data.length === 0) {
-        throw new Error("No embedding returned from OpenAI");
+      if (!embedding) {
+        throw new Error(`No embedding returned from ${provider.name}`);
       }
 
-      return response.data[0].embedding;
+      return embedding;
     } catch (error) {
       logger.error("Failed to generate embedding:", error);
       throw error;
@@ -41,9 +84,14 @@ class EmbeddingsService {
   }
 
   /**
-   * Generate embeddings for multiple texts in batches
+   * Generate embeddings for multiple texts in batches. A different provider
+   * can be passed, e.g. the target model of an embedding migration.
    */
-  async generateEmbeddings(texts, batchSize = 100) {
+  async generateEmbeddings(
+    texts,
+    batchSize = config.embeddings.batchSize,
+    provider = this.provider
+  ) {
     try {
       if (!Array.isArray(texts) || texts.length === 0) {
         throw new Error("Texts must be a non-empty array");
@@ -67,23 +115,10 @@ class EmbeddingsService {
         try {
           // Prepare batch texts (truncate if needed)
           const preparedTexts = batch.map((text) =>
-            this.truncateText(text || "", config.openai.maxTokens)
+            this.truncateText(text || "", provider.maxTokens)
           );
 
-          const response = await this.openai.embeddings.create({
-            model: config.openai.model,
-            input: preparedTexts,
-          });
-
-          if (!response.data || response.data.length !== batch.length) {
-            throw new Error(
-              `Expected ${batch.length} embeddings, got ${
-                response.data?.length || 0
-              }`
-            );
-          }
-
-          const batchEmbeddings = response.data.map((item) => item.embedding);
+          const batchEmbeddings = await provider.embed(preparedTexts);
           embeddings.push(...batchEmbeddings);
 
           logger.debug(
@@ -91,8 +126,8 @@ class EmbeddingsService {
           );
 
           // Add a small delay between batches to respect rate limits
-          if (i + batchSize < texts.length) {
-            await this.delay(1000); // 1 second delay
+          if (i + batchSize < texts.length && provider.batchDelay > 0) {
+            await this.delay(provider.batchDelay);
           }
         } catch (error) {
           logger.error(`❌ Failed to process batch ${batchNumber}:`, error);
@@ -167,18 +202,11 @@ class EmbeddingsService {
     if (entry.raw_data) {
       const contentFields = ["content", "body", "text", "details"];
       for (const field of contentFields) {
-        if (entry.raw_data[field]) {
-          let content = entry.raw_data[field];
-          if (typeof content === "object" && content.json) {
-            content = this.extractTextFromRichText(content);
-          } else if (typeof content === "object") {
-            content = JSON.stringify(content);
-          }
+        const content = extractText(entry.raw_data[field]);
 
-          if (content && content.trim()) {
-            parts.push(`Content: ${this.truncateText(content, 1000)}`);
-            break; // Only add one content field to avoid overwhelming the embedding
-          }
+        if (content) {
+          parts.push(`Content: ${this.truncateText(content, 1000)}`);
+          break; // Only add one content field to avoid overwhelming the embedding
         }
       }
     }
@@ -193,34 +221,49 @@ class EmbeddingsService {
   }
 
   /**
-   * Extract text from rich text field
+   * Split a content entry into chunk rows ready for embedding
    */
-  extractTextFromRichText(richText) {
-    try {
-      if (!richText.json || !richText.json.children) {
-        return "";
-      }
-
-      const extractText = (nodes) => {
-        let text = "";
-        for (const node of nodes) {
-          if (node.type === "text") {
-            text += node.text;
-          } else if (node.children) {
-            text += extractText(node.children);
-          }
-        }
-        return text;
-      };
+  buildChunkRows(entry, index) {
+    const { chunks, ...parent } = entry;
+
+    if (Array.isArray(chunks) && chunks.length > 0) {
+      return chunks.map((chunk) => ({
+        ...parent,
+        id: buildChunkId(entry.id, chunk.index),
+        parent_id: entry.id,
+        chunk_index: chunk.index,
+        passage: chunk.passage,
+        embeddingText: chunk.embeddingText,
+      }));
+    }
 
-      return extractText(richText.json.children);
+    // Entries without chunks are indexed as a single passage
+    let embeddingText;
+    try {
+      embeddingText = this.generateEmbeddingText(entry);
     } catch (error) {
-      return "";
+      logger.warn(
+        `Failed to generate embedding text for entry ${index}:`,
+        error.message
+      );
+      embeddingText = entry.title || entry.snippet || "No content available";
     }
+
+    return [
+      {
+        ...parent,
+        id: buildChunkId(entry.id, 0),
+        parent_id: entry.id,
+        chunk_index: 0,
+        passage: entry.snippet || "",
+        embeddingText,
+      },
+    ];
   }
 
   /**
-   * Process content entries and add embeddings
+   * Process content entries and add embeddings. Returns one row per chunk,
+   * each linked to its entry through `parent_id`.
    */
   async processContentEntries(entries) {
     try {
@@ -228,32 +271,59 @@ class EmbeddingsService {
         `🔄 Processing ${entries.length} content entries for embeddings`
       );
 
-      // Generate embedding texts
-      const embeddingTexts = entries.map((entry, index) => {
-        try {
-          return this.generateEmbeddingText(entry);
-        } catch (error) {
-          logger.warn(
-            `Failed to generate embedding text for entry ${index}:`,
-            error.message
-          );
-          return entry.title || entry.snippet || "No content available";
-        }
-      });
+      const chunkRows = entries.flatMap((entry, index) =>
+        this.buildChunkRows(entry, index)
+      );
+      const hashes = chunkRows.map((row) =>
+        this.hashEmbeddingText(row.embeddingText)
+      );
+
+      // Reuse stored vectors for chunks whose embedding text is unchanged
+      const { reusable, existingIds } = await this.findReusableEmbeddings(
+        chunkRows,
+        hashes
+      );
+
+      const pendingIndexes = chunkRows
+        .map((row, index) => index)
+        .filter((index) => !reusable.has(chunkRows[index].id));
+
+      // Generate embeddings in batches for new or changed chunks only
+      const generated =
+        pendingIndexes.length > 0
+          ? await this.generateEmbeddings(
+              pendingIndexes.map((index) => chunkRows[index].embeddingText)
+            )
+          : [];
+      const generatedByIndex = new Map(
+        pendingIndexes.map((rowIndex, i) => [rowIndex, generated[i]])
+      );
 
-      // Generate embeddings in batches
-      const embeddings = await this.generateEmbeddings(embeddingTexts);
+      // Combine chunks with embeddings
+      const processedEntries = chunkRows
+        .map(({ embeddingText, ...row }, index) => {
+          const reused = reusable.get(row.id);
+          let status = "skipped";
+          if (!reused) {
+            status = existingIds.has(row.id) ? "reembedded" : "new";
+          }
 
-      // Combine entries with embeddings
-      const processedEntries = entries
-        .map((entry, index) => ({
-          ...entry,
-          embedding: embeddings[index],
-        }))
-        .filter((entry) => entry.embedding !== null); // Filter out failed embeddings
+          return {
+            ...row,
+            embedding: reused || generatedByIndex.get(index),
+            content_hash: hashes[index],
+            embedding_model: this.getModelId(),
+            embedding_status: status,
+          };
+        })
+        .filter((row) => row.embedding !== null); // Filter out failed embeddings
 
       logger.info(
-        `✅ Successfully processed ${processedEntries.length}/${entries.length} entries with embeddings`
+        `✅ Successfully processed ${processedEntries.length}/${chunkRows.length} chunks from ${entries.length} entries with embeddings`,
+        {
+          generated: pendingIndexes.length,
+          reused: reusable.size,
+        }
       );
 
       return processedEntries;
@@ -263,6 +333,79 @@ class EmbeddingsService {
     }
   }
 
+  /**
+   * Count processed chunks by embedding status (new, reembedded, skipped)
+   */
+  summarizeEmbeddingStatus(processedEntries) {
+    const summary = { new: 0, reembedded: 0, skipped: 0 };
+    for (const entry of processedEntries) {
+      if (entry.embedding_status in summary) {
+        summary[entry.embedding_status]++;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Hash the exact embedding text together with the model that embeds it
+   */
+  hashEmbeddingText(text, modelId = this.getModelId()) {
+    return crypto
+      .createHash("sha256")
+      .update(`${modelId}\n${text}`)
+      .digest("hex");
+  }
+
+  /**
+   * Look up stored vectors that can be reused because the content hash of the
+   * chunk has not changed. Lookup failures only disable reuse.
+   */
+  async findReusableEmbeddings(chunkRows, hashes) {
+    const reusable = new Map();
+    const existingIds = new Set();
+
+    try {
+      const stored = await supabaseService.getContentHashes(
+        chunkRows.map((row) => row.id)
+      );
+
+      const hashById = new Map(
+        chunkRows.map((row, index) => [row.id, hashes[index]])
+      );
+      const unchangedIds = [];
+
+      for (const row of stored) {
+        existingIds.add(row.id);
+        if (
+          row.content_hash &&
+          row.content_hash === hashById.get(row.id) &&
+          row.embedding_model === this.getModelId()
+        ) {
+          unchangedIds.push(row.id);
+        }
+      }
+
+      if (unchangedIds.length > 0) {
+        const embeddings = await supabaseService.getEmbeddingsByIds(
+          unchangedIds
+        );
+        for (const { id, embedding } of embeddings) {
+          if (embedding) {
+            reusable.set(id, embedding);
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to look up stored embeddings, re-embedding all chunks:",
+        error.message
+      );
+      reusable.clear();
+    }
+
+    return { reusable, existingIds };
+  }
+
   /**
    * Truncate text to fit within token limits
    */
@@ -312,7 +455,8 @@ class EmbeddingsService {
       return false;
     }
 
-    if (embedding.length !== config.search.embeddingDimensions) {
+    const dimensions = this.getDimensions();
+    if (dimensions && embedding.length !== dimensions) {
       return false;
     }
 
@@ -323,10 +467,13 @@ class EmbeddingsService {
    * Get service statistics
    */
   getStats() {
+    const info = this.provider.getInfo();
     return {
-      model: config.openai.model,
-      maxTokens: config.openai.maxTokens,
-      embeddingDimensions: config.search.embeddingDimensions,
+      provider: info.provider,
+      model: info.model,
+      modelId: info.modelId,
+      maxTokens: info.maxTokens,
+      embeddingDimensions: info.dimensions,
     };
   }
 }
@@ -4,9 +4,11 @@ const logger = require("../utils/logger");
 
 class ExplainabilityService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+    // Explanations are optional: without an OpenAI key (e.g. when embeddings
+    // run on a local provider) the fallback explanations are used
+    this.openai = config.openai.apiKey
+      ? new OpenAI({ apiKey: config.openai.apiKey })
+      : null;
     this.stats = {
       explanationsGenerated: 0,
       averageResponseTime: 0,
@@ -69,6 +71,10 @@ class ExplainabilityService {
    * Generate AI explanation using OpenAI
    */
   async generateExplanation(query, result, similarity) {
+    if (!this.openai) {
+      throw new Error("OpenAI API key is not configured");
+    }
+
     const prompt = this.buildExplanationPrompt(query, result, similarity);
     
     const completion = await this.openai.chat.completions.create({
@@ -221,6 +227,10 @@ Provide a clear, user-friendly explanation in 2-3 sentences.
    */
   async generateSearchSuggestions(query, results) {
     try {
+      if (!this.openai) {
+        return this.getFallbackSuggestions(query);
+      }
+
       const prompt = `
 Given this search query: "${query}"
 
@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const os = require("os");
+const supabaseService = require("./supabase");
+const logger = require("../utils/logger");
+
+/**
+ * Cluster-wide locks for jobs that must run on one instance at a time,
+ * stored as leases in job_locks. A held lease is renewed in the background
+ * at a third of its length; when its holder crashes, the lease expires and
+ * another instance can take the lock.
+ */
+class JobLockService {
+  constructor() {
+    // Identifies this process in job_locks
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Take a lock. Returns the lease, or null while another holder has it.
+   * Check `lease.lost` before writing: it is set when renewals stopped long
+   * enough for the lease to expire and be taken over.
+   */
+  async acquire(name, leaseSeconds) {
+    const holder = `${this.instanceId}:${crypto.randomUUID()}`;
+    const acquired = await supabaseService.acquireJobLock(
+      name,
+      holder,
+      leaseSeconds
+    );
+
+    if (!acquired) {
+      return null;
+    }
+
+    const lease = { name, holder, leaseSeconds, lost: false, timer: null };
+    lease.timer = setInterval(
+      () => this.renew(lease),
+      (leaseSeconds * 1000) / 3
+    );
+    // A held lock never keeps the process alive
+    lease.timer.unref();
+
+    return lease;
+  }
+
+  async renew(lease) {
+    try {
+      const renewed = await supabaseService.renewJobLock(
+        lease.name,
+        lease.holder,
+        lease.leaseSeconds
+      );
+
+      if (!renewed) {
+        lease.lost = true;
+        clearInterval(lease.timer);
+        logger.error(
+          `🔒 Lost the ${lease.name} lock, its lease expired and was taken over`
+        );
+      }
+    } catch (error) {
+      // Retried on the next renewal, before the lease runs out
+      logger.warn(`Failed to renew the ${lease.name} lock:`, error.message);
+    }
+  }
+
+  /**
+   * Release a lease. If that fails, the lease expires on its own.
+   */
+  async release(lease) {
+    clearInterval(lease.timer);
+
+    if (lease.lost) {
+      return;
+    }
+
+    try {
+      await supabaseService.releaseJobLock(lease.name, lease.holder);
+    } catch (error) {
+      logger.warn(
+        `Failed to release the ${lease.name} lock, it expires in ${lease.leaseSeconds}s:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Holder and expiry of a lock, null when it is free
+   */
+  async getLease(name) {
+    const lock = await supabaseService.getJobLock(name);
+
+    return lock
+      ? {
+          holder: lock.holder,
+          acquiredAt: lock.acquired_at,
+          expiresAt: lock.expires_at,
+        }
+      : null;
+  }
+}
+
+module.exports = new JobLockService();
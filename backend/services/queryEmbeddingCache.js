@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const { createCacheStore, normalizeQuery } = require("../utils/cacheStores");
+
+/**
+ * Cache of query embeddings keyed by model and normalized query text, so
+ * popular queries are embedded once per TTL. Keys include the model ID,
+ * which keeps vectors of different models apart.
+ */
+class QueryEmbeddingCache {
+  constructor(cacheConfig) {
+    this.enabled = cacheConfig.enabled;
+    this.ttlSeconds = cacheConfig.ttlSeconds;
+    this.maxEntries = cacheConfig.maxEntries;
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+    this.store = createCacheStore(cacheConfig, "query-embedding:");
+
+    if (this.enabled) {
+      logger.info("🗄️ Query embedding cache initialized", {
+        backend: this.store.name,
+        ttlSeconds: this.ttlSeconds,
+      });
+    }
+  }
+
+  buildKey(modelId, text) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(normalizeQuery(text))
+      .digest("hex");
+    return `${modelId}:${hash}`;
+  }
+
+  /**
+   * Get a cached embedding, or null on a miss. Cache errors count as misses.
+   */
+  async get(modelId, text) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const embedding = await this.store.get(this.buildKey(modelId, text));
+      if (embedding) {
+        this.stats.hits++;
+        return embedding;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn("Query embedding cache lookup failed:", error.message);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(modelId, text, embedding) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await this.store.set(
+        this.buildKey(modelId, text),
+        embedding,
+        this.ttlSeconds
+      );
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn("Query embedding cache write failed:", error.message);
+    }
+  }
+
+  /**
+   * Drop every cached embedding, e.g. after the embedding model changed
+   */
+  async invalidate() {
+    try {
+      await this.store.clear();
+      logger.info("🗄️ Query embedding cache invalidated");
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn("Query embedding cache invalidation failed:", error.message);
+    }
+  }
+
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    let size = null;
+    try {
+      size = await this.store.size();
+    } catch (error) {
+      // Size is informational only
+    }
+
+    return {
+      enabled: this.enabled,
+      backend: this.store.name,
+      ttlSeconds: this.ttlSeconds,
+      maxEntries: this.store.name === "memory" ? this.maxEntries : null,
+      size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      errors: this.stats.errors,
+      hitRate:
+        lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+    };
+  }
+}
+
+module.exports = new QueryEmbeddingCache(config.cache.queryEmbeddings);
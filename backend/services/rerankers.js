@@ -0,0 +1,199 @@
+const OpenAI = require("openai");
+const logger = require("../utils/logger");
+
+const DEFAULT_MODELS = {
+  llm: "gpt-4o-mini",
+  "cross-encoder": "Xenova/ms-marco-MiniLM-L-6-v2",
+};
+
+// Characters of each passage sent to the re-ranker
+const MAX_PASSAGE_LENGTH = 1000;
+
+/**
+ * Common behaviour for re-rankers. A re-ranker scores how well each candidate
+ * answers the query, on a 0-1 scale, one score per candidate in input order.
+ */
+class Reranker {
+  constructor(name, options) {
+    this.name = name;
+    this.model = options.model || DEFAULT_MODELS[name];
+  }
+
+  /**
+   * Score candidates ({ title, snippet }) against the query
+   */
+  async score(query, candidates) {
+    throw new Error(`${this.name} re-ranker does not implement score()`);
+  }
+
+  /**
+   * Text of a candidate as seen by the re-ranker
+   */
+  toPassage(candidate) {
+    return `${candidate.title || ""}\n${candidate.snippet || ""}`
+      .trim()
+      .substring(0, MAX_PASSAGE_LENGTH);
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.model,
+    };
+  }
+}
+
+/**
+ * Asks a chat model to grade every candidate in a single request
+ */
+class LLMReranker extends Reranker {
+  constructor(options, clientOptions) {
+    super("llm", options);
+    this.client = clientOptions.apiKey ? new OpenAI(clientOptions) : null;
+  }
+
+  async score(query, candidates) {
+    if (!this.client) {
+      throw new Error("OpenAI API key is not configured");
+    }
+
+    const passages = candidates
+      .map(
+        (candidate, index) =>
+          `[${index}] ${this.toPassage(candidate).replace(/\s+/g, " ")}`
+      )
+      .join("\n");
+
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You grade search results. For each numbered passage, rate from 0 to 10 how directly it answers the user's query: 10 is an exact answer, 5 is on topic but indirect, 0 is unrelated. " +
+            'Respond with JSON only: {"scores": [<one number per passage, in order>]}',
+        },
+        {
+          role: "user",
+          content: `Query: "${query}"\n\nPassages:\n${passages}`,
+        },
+      ],
+      response_format: { type: "json_object" },
+      max_tokens: 20 + candidates.length * 6,
+      temperature: 0,
+    });
+
+    const { scores } = JSON.parse(completion.choices[0].message.content);
+
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+      throw new Error(
+        `Expected ${candidates.length} scores from ${this.model}, got ${
+          Array.isArray(scores) ? scores.length : 0
+        }`
+      );
+    }
+
+    return scores.map((score) =>
+      Math.min(Math.max((parseFloat(score) || 0) / 10, 0), 1)
+    );
+  }
+}
+
+/**
+ * Local CPU cross-encoder using transformers.js (ONNX). Needs the optional
+ * `@xenova/transformers` package, like the local embedding provider.
+ */
+class CrossEncoderReranker extends Reranker {
+  constructor(options) {
+    super("cross-encoder", options);
+    this.cacheDir = options.cacheDir;
+    this.allowRemoteModels = options.allowRemoteModels !== false;
+    this.modelPromise = null;
+  }
+
+  async getModel() {
+    if (!this.modelPromise) {
+      this.modelPromise = import("@xenova/transformers")
+        .then(
+          async ({
+            AutoTokenizer,
+            AutoModelForSequenceClassification,
+            env,
+          }) => {
+            if (this.cacheDir) {
+              env.cacheDir = this.cacheDir;
+            }
+            env.allowRemoteModels = this.allowRemoteModels;
+
+            logger.info(`🧠 Loading cross-encoder model ${this.model}`);
+            const [tokenizer, model] = await Promise.all([
+              AutoTokenizer.from_pretrained(this.model),
+              AutoModelForSequenceClassification.from_pretrained(this.model),
+            ]);
+            return { tokenizer, model };
+          }
+        )
+        .catch((error) => {
+          this.modelPromise = null;
+          throw new Error(
+            `Cross-encoder model unavailable: ${error.message}. ` +
+              "Install @xenova/transformers and make sure the model is cached or downloadable."
+          );
+        });
+    }
+
+    return this.modelPromise;
+  }
+
+  async score(query, candidates) {
+    const { tokenizer, model } = await this.getModel();
+    const inputs = tokenizer(new Array(candidates.length).fill(query), {
+      text_pair: candidates.map((candidate) => this.toPassage(candidate)),
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+
+    // One relevance logit per pair
+    return logits
+      .sigmoid()
+      .tolist()
+      .map(([score]) => score);
+  }
+}
+
+/**
+ * Create the re-ranker selected in config.search.rerank
+ */
+function createReranker(rerankConfig, openaiConfig = {}) {
+  const { provider = "llm" } = rerankConfig;
+
+  switch (provider) {
+    case "llm":
+      return new LLMReranker(
+        { model: rerankConfig.model },
+        { apiKey: openaiConfig.apiKey }
+      );
+
+    case "cross-encoder":
+      return new CrossEncoderReranker({
+        ...rerankConfig.crossEncoder,
+        model: rerankConfig.model,
+      });
+
+    default:
+      throw new Error(
+        `Unknown re-ranker '${provider}'. Valid options: ${Object.keys(
+          DEFAULT_MODELS
+        ).join(", ")}`
+      );
+  }
+}
+
+module.exports = {
+  createReranker,
+  Reranker,
+  LLMReranker,
+  CrossEncoderReranker,
+  RERANKERS: Object.keys(DEFAULT_MODELS),
+};
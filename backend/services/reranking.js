@@ -0,0 +1,90 @@
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const { createReranker } = require("./rerankers");
+
+/**
+ * Optional second stage of search: re-scores the top vector candidates with
+ * a re-ranker and reorders them by that score
+ */
+class RerankingService {
+  constructor() {
+    this.topN = config.search.rerank.topN;
+    this.maxTopN = config.search.rerank.maxTopN;
+    this.stats = { requests: 0, failures: 0, totalTime: 0 };
+
+    try {
+      this.reranker = createReranker(config.search.rerank, config.openai);
+      logger.info("🎯 Re-ranker initialized", this.reranker.getInfo());
+    } catch (error) {
+      this.reranker = null;
+      logger.error("Failed to initialize re-ranker:", error.message);
+    }
+  }
+
+  /**
+   * Whether `rerank: true` searches can be served
+   */
+  isAvailable() {
+    if (!this.reranker) {
+      return false;
+    }
+
+    return this.reranker.name !== "llm" || Boolean(config.openai.apiKey);
+  }
+
+  /**
+   * Re-score candidates and return them ordered by rerank score, each with a
+   * `rerank_score` and its `original_rank` (1-based)
+   */
+  async rerank(query, candidates) {
+    if (!this.isAvailable()) {
+      throw new Error("Re-ranking is not configured");
+    }
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const startTime = Date.now();
+    this.stats.requests++;
+
+    try {
+      const scores = await this.reranker.score(query, candidates);
+
+      // Ties keep their original order
+      return candidates
+        .map((candidate, index) => ({
+          ...candidate,
+          rerank_score: scores[index],
+          original_rank: index + 1,
+        }))
+        .sort(
+          (a, b) =>
+            b.rerank_score - a.rerank_score || a.original_rank - b.original_rank
+        );
+    } catch (error) {
+      this.stats.failures++;
+      logger.error("Re-ranking failed:", error);
+      throw error;
+    } finally {
+      this.stats.totalTime += Date.now() - startTime;
+    }
+  }
+
+  getStats() {
+    return {
+      available: this.isAvailable(),
+      ...(this.reranker && this.reranker.getInfo()),
+      topN: this.topN,
+      maxTopN: this.maxTopN,
+      requests: this.stats.requests,
+      failures: this.stats.failures,
+      averageTime:
+        this.stats.requests > 0
+          ? Math.round(this.stats.totalTime / this.stats.requests)
+          : 0,
+    };
+  }
+}
+
+module.exports = new RerankingService();
@@ -0,0 +1,278 @@
+const contentTypeManager = require("./contentTypeManager");
+const contentTypeConfigService = require("./contentTypeConfigs");
+const contentstackService = require("./contentstack");
+
+// Field UIDs recognised by name when the schema does not mark them
+const TITLE_NAMES = /^(title|name|heading|headline|question|display_name)$/;
+const SNIPPET_NAMES =
+  /(description|summary|excerpt|intro|teaser|abstract|answer|subtitle)/;
+const TAG_NAMES = /(^tags?$|keyword|topic)/;
+const CATEGORY_NAMES = /(category|categories|section|^type$|kind)/;
+// Text kinds worth embedding, longest content first. Groups, global fields
+// and modular blocks are flattened by the content extractor.
+const BODY_KINDS = [
+  "jsonRte",
+  "richText",
+  "markdown",
+  "multilineText",
+  "modularBlocks",
+  "group",
+  "globalField",
+];
+// Keys compared between the current and the proposed configuration
+const DIFF_KEYS = [
+  "name",
+  "embeddingFields",
+  "titleFields",
+  "snippetFields",
+  "tagFields",
+  "categoryFields",
+  "urlTemplate",
+  "searchWeight",
+  "references",
+];
+
+/**
+ * Reads content type schemas from Contentstack and proposes a search
+ * configuration for each, so new content types do not rely on the guessed
+ * defaults of contentTypeManager.getDefaultConfig.
+ */
+class SchemaIntrospectionService {
+  /**
+   * Propose configurations for the given content types (all when omitted),
+   * each with the current configuration and the differences
+   */
+  async introspect(uids = null) {
+    const contentTypes = await contentstackService.getContentTypes();
+
+    return contentTypes
+      .filter((contentType) => !uids || uids.includes(contentType.uid))
+      .map((contentType) => this.compare(contentType));
+  }
+
+  /**
+   * Compare the proposal for one content type with its active configuration
+   */
+  compare(contentType) {
+    const {
+      config: proposed,
+      fields,
+      skipped,
+    } = this.proposeConfig(contentType);
+    const current = contentTypeManager.getContentTypeConfig(contentType.uid);
+
+    let source = "guessed";
+    if (contentTypeConfigService.isStored(contentType.uid)) {
+      source = "stored";
+    } else if (contentTypeManager.hasContentType(contentType.uid)) {
+      source = "default";
+    }
+
+    return {
+      uid: contentType.uid,
+      source,
+      current,
+      proposed,
+      diff: this.diffConfig(current, proposed),
+      fields,
+      skipped,
+    };
+  }
+
+  /**
+   * Build a configuration from a content type schema. Also returns the
+   * classified top-level fields and the fields left out, with the reason.
+   */
+  proposeConfig(contentType) {
+    const fields = (contentType.schema || []).map((field) =>
+      this.classifyField(field)
+    );
+    const skipped = fields
+      .filter((field) => field.skipReason)
+      .map(({ uid, kind, skipReason }) => ({ uid, kind, reason: skipReason }));
+    const byKind = (...kinds) =>
+      fields.filter((field) => kinds.includes(field.kind));
+
+    // Title: the field Contentstack marks as title, else a unique or
+    // well-known single line text field
+    const textFields = byKind("text");
+    const titleField =
+      fields.find((field) => field.isTitle) ||
+      textFields.find((field) => field.unique) ||
+      textFields.find((field) => TITLE_NAMES.test(field.uid));
+    const titleFields = titleField ? [titleField.uid] : ["uid"];
+
+    const bodyFields = fields
+      .filter((field) => BODY_KINDS.includes(field.kind))
+      .sort((a, b) => BODY_KINDS.indexOf(a.kind) - BODY_KINDS.indexOf(b.kind));
+    const snippetFields = [
+      ...[...bodyFields, ...textFields].filter(
+        (field) => field !== titleField && SNIPPET_NAMES.test(field.uid)
+      ),
+      ...bodyFields.filter((field) => !SNIPPET_NAMES.test(field.uid)),
+    ].map((field) => field.uid);
+
+    const embeddingFields = unique([
+      ...titleFields.filter((uid) => uid !== "uid"),
+      ...snippetFields,
+      ...bodyFields.map((field) => field.uid),
+    ]);
+
+    const tagFields = unique([
+      ...fields
+        .filter(
+          (field) =>
+            ["text", "select", "taxonomy"].includes(field.kind) &&
+            TAG_NAMES.test(field.uid)
+        )
+        .map((field) => field.uid),
+      // Entry tags set in the Contentstack UI
+      "tags",
+    ]);
+
+    const categoryFields = fields
+      .filter(
+        (field) =>
+          ["select", "text", "taxonomy"].includes(field.kind) &&
+          !field.multiple &&
+          CATEGORY_NAMES.test(field.uid)
+      )
+      .map((field) => field.uid);
+    // A single-choice select field is the best category guess otherwise
+    if (categoryFields.length === 0) {
+      const select = byKind("select").find((field) => !field.multiple);
+      if (select) {
+        categoryFields.push(select.uid);
+      }
+    }
+
+    const searchWeight = {};
+    for (const uid of embeddingFields) {
+      if (titleFields.includes(uid)) {
+        searchWeight[uid] = 2.0;
+      } else if (snippetFields[0] === uid && SNIPPET_NAMES.test(uid)) {
+        searchWeight[uid] = 1.5;
+      } else {
+        searchWeight[uid] = 1.0;
+      }
+    }
+    searchWeight.tags = 0.5;
+
+    // Fold the titles of referenced entries into the indexed text
+    const references = Object.fromEntries(
+      byKind("reference").map((field) => [field.uid, ["title"]])
+    );
+
+    // URL fields hold a path starting with "/"
+    const hasUrlField = fields.some((field) => field.kind === "url");
+
+    return {
+      config: {
+        name: contentType.title || contentType.uid,
+        embeddingFields:
+          embeddingFields.length > 0 ? embeddingFields : titleFields,
+        titleFields,
+        snippetFields: snippetFields.length > 0 ? snippetFields : titleFields,
+        tagFields,
+        categoryFields,
+        urlTemplate: hasUrlField
+          ? "${baseUrl}${slug}"
+          : "${baseUrl}/${contentType}/${slug}",
+        searchWeight,
+        references,
+        filterOptions: {
+          ...(categoryFields.length > 0 && { category: true }),
+          tags: true,
+          publishedDate: true,
+        },
+      },
+      fields: fields.map(({ skipReason, ...field }) => field),
+      skipped,
+    };
+  }
+
+  /**
+   * Describe a schema field: its kind and, for fields the proposal cannot
+   * use, why it is skipped
+   */
+  classifyField(field) {
+    const metadata = field.field_metadata || {};
+    const described = {
+      uid: field.uid,
+      displayName: field.display_name,
+      dataType: field.data_type,
+      kind: field.data_type,
+      multiple: Boolean(field.multiple),
+      unique: Boolean(field.unique),
+      isTitle: Boolean(
+        metadata.is_title || (field.uid === "title" && metadata._default)
+      ),
+    };
+
+    switch (field.data_type) {
+      case "text":
+        if (field.display_type || field.enum) {
+          described.kind = "select";
+        } else if (field.uid === "url") {
+          described.kind = "url";
+        } else if (metadata.allow_rich_text) {
+          described.kind = "richText";
+        } else if (metadata.markdown) {
+          described.kind = "markdown";
+        } else if (metadata.multiline) {
+          described.kind = "multilineText";
+        }
+        break;
+
+      case "json":
+        if (metadata.allow_json_rte) {
+          described.kind = "jsonRte";
+        } else {
+          described.skipReason = "custom JSON fields have no text to embed";
+        }
+        break;
+
+      case "reference":
+        described.kind = "reference";
+        described.referenceTo = [].concat(field.reference_to || []);
+        break;
+
+      case "group":
+      case "global_field":
+        described.kind = field.data_type === "group" ? "group" : "globalField";
+        described.nestedFields = (field.schema || []).map(
+          (nested) => nested.uid
+        );
+        break;
+
+      case "blocks":
+        described.kind = "modularBlocks";
+        described.blocks = (field.blocks || []).map((block) => block.uid);
+        break;
+
+      default:
+        break;
+    }
+
+    return described;
+  }
+
+  /**
+   * Keys whose values differ between two configurations
+   */
+  diffConfig(current, proposed) {
+    return DIFF_KEYS.filter(
+      (key) => JSON.stringify(current[key]) !== JSON.stringify(proposed[key])
+    ).map((key) => ({
+      key,
+      current: current[key],
+      proposed: proposed[key],
+    }));
+  }
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = new SchemaIntrospectionService();
@@ -0,0 +1,233 @@
+const config = require("../utils/config");
+const contentTypeManager = require("./contentTypeManager");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cap on any single multiplier, so one boost cannot bury every other signal
+const MAX_MULTIPLIER = 10;
+
+/**
+ * Query-time scoring layer. Multiplies each result's ranking score by a
+ * content type multiplier, a recency decay on `updated_at` and a field match
+ * factor that applies the content type's searchWeight, then reorders results
+ * by the final score.
+ */
+class ScoringService {
+  constructor() {
+    this.defaults = config.search.boost;
+  }
+
+  /**
+   * Merge a request-level `boost` object over the configured boosts. Returns
+   * { options } (null when boosting is off) or { error } for invalid input.
+   */
+  resolveOptions(boost) {
+    if (boost === false || (boost === undefined && !this.defaults.enabled)) {
+      return { options: null };
+    }
+
+    if (boost !== undefined && boost !== true && !isPlainObject(boost)) {
+      return { error: "Boost must be false or an object" };
+    }
+
+    const overrides = isPlainObject(boost) ? boost : {};
+    for (const key of ["contentTypes", "recency", "fieldMatch"]) {
+      if (overrides[key] !== undefined && !isPlainObject(overrides[key])) {
+        return { error: `boost.${key} must be an object` };
+      }
+    }
+
+    const contentTypes = {
+      ...this.defaults.contentTypes,
+      ...overrides.contentTypes,
+    };
+    const recency = { ...this.defaults.recency, ...overrides.recency };
+    const fieldMatch = { ...this.defaults.fieldMatch, ...overrides.fieldMatch };
+
+    const numbers = [
+      ...Object.entries(contentTypes).map(([type, multiplier]) => [
+        `boost.contentTypes.${type}`,
+        multiplier,
+      ]),
+      ["boost.recency.weight", recency.weight],
+      ["boost.fieldMatch.weight", fieldMatch.weight],
+    ];
+    for (const [name, value] of numbers) {
+      if (
+        typeof value !== "number" ||
+        !Number.isFinite(value) ||
+        value < 0 ||
+        value > MAX_MULTIPLIER
+      ) {
+        return {
+          error: `${name} must be a number between 0 and ${MAX_MULTIPLIER}`,
+        };
+      }
+    }
+
+    if (
+      typeof recency.halfLifeDays !== "number" ||
+      !Number.isFinite(recency.halfLifeDays) ||
+      recency.halfLifeDays <= 0
+    ) {
+      return {
+        error: "boost.recency.halfLifeDays must be a number greater than 0",
+      };
+    }
+
+    return {
+      options: {
+        contentTypes,
+        recency: { weight: recency.weight, halfLifeDays: recency.halfLifeDays },
+        fieldMatch: { weight: fieldMatch.weight },
+      },
+    };
+  }
+
+  /**
+   * Score results and return them ordered by final score, each with a
+   * `score_breakdown`. The base score is the rerank score when present,
+   * otherwise the fused hybrid score or the vector similarity.
+   */
+  applyBoosts(query, results, options) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const now = Date.now();
+
+    return results
+      .map((result, index) => {
+        const base =
+          result.rerank_score ?? result.score ?? result.similarity ?? 0;
+        const contentType = this.getContentTypeMultiplier(
+          result.content_type,
+          options
+        );
+        const recency =
+          1 +
+          options.recency.weight *
+            this.getRecencyDecay(
+              result.updated_at,
+              options.recency.halfLifeDays,
+              now
+            );
+        const fieldMatch =
+          1 +
+          options.fieldMatch.weight * this.getFieldMatch(queryTerms, result);
+
+        return {
+          ...result,
+          position: index,
+          score_breakdown: {
+            base,
+            contentType,
+            recency,
+            fieldMatch,
+            final: base * contentType * recency * fieldMatch,
+          },
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.score_breakdown.final - a.score_breakdown.final ||
+          a.position - b.position
+      )
+      .map(({ position, ...result }) => result);
+  }
+
+  /**
+   * Multiplier for a content type: request or config override, else the
+   * content type's own searchBoost
+   */
+  getContentTypeMultiplier(contentType, options) {
+    if (options.contentTypes[contentType] !== undefined) {
+      return options.contentTypes[contentType];
+    }
+
+    return (
+      contentTypeManager.getContentTypeConfig(contentType).searchBoost ?? 1
+    );
+  }
+
+  /**
+   * Exponential decay on age: 1 for content updated now, 0.5 after one half
+   * life. Entries without a valid date get no recency boost.
+   */
+  getRecencyDecay(updatedAt, halfLifeDays, now) {
+    const updated = Date.parse(updatedAt);
+    if (Number.isNaN(updated)) {
+      return 0;
+    }
+
+    const ageDays = Math.max(0, now - updated) / DAY_MS;
+    return Math.pow(0.5, ageDays / halfLifeDays);
+  }
+
+  /**
+   * Share (0-1) of query terms found in the title, snippet and tags, with
+   * each field weighted by the content type's searchWeight
+   */
+  getFieldMatch(queryTerms, result) {
+    if (queryTerms.length === 0) {
+      return 0;
+    }
+
+    const typeConfig = contentTypeManager.getContentTypeConfig(
+      result.content_type
+    );
+    const fields = [
+      {
+        text: result.title,
+        weight: getFieldWeight(typeConfig, typeConfig.titleFields, "title"),
+      },
+      {
+        text: result.snippet,
+        weight: getFieldWeight(typeConfig, typeConfig.snippetFields, "content"),
+      },
+      {
+        text: (result.tags || []).join(" "),
+        weight: getFieldWeight(typeConfig, typeConfig.tagFields, "tags"),
+      },
+    ];
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const field of fields) {
+      const fieldTerms = new Set(tokenize(field.text || ""));
+      const matched = queryTerms.filter((term) => fieldTerms.has(term)).length;
+      weighted += field.weight * (matched / queryTerms.length);
+      totalWeight += field.weight;
+    }
+
+    return totalWeight > 0 ? weighted / totalWeight : 0;
+  }
+}
+
+/**
+ * Highest searchWeight among a field group (e.g. the title fields), falling
+ * back to the generic key and then 1
+ */
+function getFieldWeight(typeConfig, fieldNames, fallbackKey) {
+  const weights = typeConfig.searchWeight || {};
+  const values = (fieldNames || [])
+    .map((field) => weights[field])
+    .filter((weight) => typeof weight === "number");
+
+  if (values.length > 0) {
+    return Math.max(...values);
+  }
+
+  return weights[fallbackKey] ?? 1;
+}
+
+function tokenize(text) {
+  return (
+    text
+      .normalize("NFKC")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((term) => term.length > 1);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = new ScoringService();
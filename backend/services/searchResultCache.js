@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const supabaseService = require("./supabase");
+const { createCacheStore, normalizeQuery } = require("../utils/cacheStores");
+
+/**
+ * Cache of complete search responses. Keys include the index version, which
+ * every write to the live index bumps, so a cached response is never served
+ * after content changed.
+ */
+class SearchResultCache {
+  constructor(cacheConfig) {
+    this.enabled = cacheConfig.enabled;
+    this.ttlSeconds = cacheConfig.ttlSeconds;
+    this.maxEntries = cacheConfig.maxEntries;
+    this.stats = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+    this.store = createCacheStore(cacheConfig, "search-result:");
+
+    if (this.enabled) {
+      logger.info("🗄️ Search result cache initialized", {
+        backend: this.store.name,
+        ttlSeconds: this.ttlSeconds,
+      });
+    }
+  }
+
+  /**
+   * Current index version, or null when it cannot be read (the cache is then
+   * bypassed rather than risking stale results)
+   */
+  async getIndexVersion() {
+    try {
+      return await supabaseService.getIndexVersion();
+    } catch (error) {
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  /**
+   * Build the cache key for a search request. `params` holds every request
+   * option that changes the response besides the query and filters.
+   */
+  buildKey(indexVersion, query, filters, params) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(
+        stableStringify({
+          query: normalizeQuery(query),
+          filters,
+          ...params,
+        })
+      )
+      .digest("hex");
+    return `v${indexVersion}:${hash}`;
+  }
+
+  async get(key) {
+    try {
+      const response = await this.store.get(key);
+      if (response) {
+        this.stats.hits++;
+        return response;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn("Search result cache lookup failed:", error.message);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(key, response) {
+    try {
+      await this.store.set(key, response, this.ttlSeconds);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn("Search result cache write failed:", error.message);
+    }
+  }
+
+  recordBypass() {
+    this.stats.bypasses++;
+  }
+
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    let size = null;
+    try {
+      size = await this.store.size();
+    } catch (error) {
+      // Size is informational only
+    }
+
+    return {
+      enabled: this.enabled,
+      backend: this.store.name,
+      ttlSeconds: this.ttlSeconds,
+      maxEntries: this.store.name === "memory" ? this.maxEntries : null,
+      size,
+      indexVersion: await this.getIndexVersion(),
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      bypasses: this.stats.bypasses,
+      errors: this.stats.errors,
+      hitRate:
+        lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+    };
+  }
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal filters in a different
+ * order produce the same key
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value) ?? "null";
+}
+
+module.exports = new SearchResultCache(config.cache.searchResults);
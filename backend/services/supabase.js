@@ -2,18 +2,25 @@ const { createClient } = require("@supabase/supabase-js");
 const config = require("../utils/config");
 const logger = require("../utils/logger");
 
+const CONTENT_TABLE = "content_entries";
+const SHADOW_TABLE = "content_entries_shadow";
+
 class SupabaseService {
   constructor() {
     this.client = createClient(config.supabase.url, config.supabase.key);
+    // Cutover is only granted to the service role
+    this.adminClient = config.supabase.serviceRoleKey
+      ? createClient(config.supabase.url, config.supabase.serviceRoleKey)
+      : this.client;
     logger.info("🔗 Supabase client initialized");
   }
 
   /**
    * Insert or update content entry with embedding
    */
-  async upsertContentEntry(entry) {
+  async upsertContentEntry(entry, table = CONTENT_TABLE) {
     try {
-      const { data, error } = await this.client.from("content_entries").upsert(
+      const { data, error } = await this.client.from(table).upsert(
         {
           id: entry.id,
           title: entry.title,
@@ -23,6 +30,14 @@ class SupabaseService {
           locale: entry.locale,
           updated_at: entry.updated_at,
           embedding: entry.embedding,
+          parent_id: entry.parent_id || entry.id,
+          chunk_index: entry.chunk_index || 0,
+          passage: entry.passage || null,
+          content_hash: entry.content_hash || null,
+          embedding_model: entry.embedding_model || null,
+          tags: entry.tags || [],
+          category: entry.category || null,
+          published_at: entry.published_at || null,
         },
         {
           onConflict: "id",
@@ -41,9 +56,10 @@ class SupabaseService {
   }
 
   /**
-   * Batch upsert multiple content entries
+   * Batch upsert multiple content entries. `table` selects the live index or
+   * the embedding migration shadow index.
    */
-  async batchUpsertContentEntries(entries) {
+  async batchUpsertContentEntries(entries, table = CONTENT_TABLE) {
     try {
       const batchSize = 100; // Supabase batch limit
       const results = [];
@@ -52,7 +68,7 @@ class SupabaseService {
         const batch = entries.slice(i, i + batchSize);
 
         const { data, error } = await this.client
-          .from("content_entries")
+          .from(table)
           .upsert(batch, { onConflict: "id" });
 
         if (error) {
@@ -75,66 +91,1175 @@ class SupabaseService {
   }
 
   /**
-   * Search content using vector similarity
+   * Get stored content hashes for the given row IDs
    */
-  async searchContent(
-    queryEmbedding,
-    filters = {},
-    limit = 10,
-    threshold = 0.5
-  ) {
+  async getContentHashes(ids) {
+    return this.selectByIds(ids, "id, content_hash, embedding_model");
+  }
+
+  /**
+   * Get stored embedding vectors for the given row IDs
+   */
+  async getEmbeddingsByIds(ids) {
+    return this.selectByIds(ids, "id, embedding");
+  }
+
+  /**
+   * Select content entry columns for many IDs in batches
+   */
+  async selectByIds(ids, columns, table = CONTENT_TABLE) {
     try {
-      // Pass filters directly to the RPC call
-      const { data, error } = await this.client.rpc("match_content", {
-        query_embedding: queryEmbedding,
-        match_threshold: threshold,
-        match_count: limit,
-        filter_content_types: filters.contentTypes || [],
-        filter_locales: filters.locales || [],
-        date_range: filters.dateRange || "all",
+      const batchSize = 100;
+      const rows = [];
+
+      for (let i = 0; i < ids.length; i += batchSize) {
+        const { data, error } = await this.client
+          .from(table)
+          .select(columns)
+          .in("id", ids.slice(i, i + batchSize));
+
+        if (error) {
+          throw error;
+        }
+
+        rows.push(...(data || []));
+      }
+
+      return rows;
+    } catch (error) {
+      logger.error("Failed to select content entries by ID:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove chunk rows that no longer belong to the given entries, e.g. after
+   * an entry got shorter and was re-chunked into fewer passages
+   */
+  async pruneEntryChunks(chunkRows, table = CONTENT_TABLE) {
+    try {
+      const chunkIdsByParent = new Map();
+      for (const row of chunkRows) {
+        const parentId = row.parent_id || row.id;
+        if (!chunkIdsByParent.has(parentId)) {
+          chunkIdsByParent.set(parentId, []);
+        }
+        chunkIdsByParent.get(parentId).push(row.id);
+      }
+
+      if (chunkIdsByParent.size === 0) {
+        return 0;
+      }
+
+      const { data, error } = await this.client.rpc("prune_entry_chunks", {
+        entry_chunks: Array.from(chunkIdsByParent, ([parentId, chunkIds]) => ({
+          parent_id: parentId,
+          chunk_ids: chunkIds,
+        })),
+        target_table: table,
       });
 
       if (error) {
         throw error;
       }
 
-      // The database now handles filtering, so we can return the data directly.
+      return data || 0;
+    } catch (error) {
+      logger.error("Failed to prune stale entry chunks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an entry and all of its chunk rows
+   */
+  async deleteContentEntry(entryId, table = CONTENT_TABLE) {
+    try {
+      const { error } = await this.client
+        .from(table)
+        .delete()
+        .or(`id.eq."${entryId}",parent_id.eq."${entryId}"`);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to delete content entry:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every indexed entry of a content type
+   */
+  async deleteContentEntriesByType(contentTypeUid, table = CONTENT_TABLE) {
+    try {
+      const { error } = await this.client
+        .from(table)
+        .delete()
+        .eq("content_type", contentTypeUid);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to delete content entries by type:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every indexed entry of a locale
+   */
+  async deleteContentEntriesByLocale(locale, table = CONTENT_TABLE) {
+    try {
+      const { error } = await this.client
+        .from(table)
+        .delete()
+        .eq("locale", locale);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to delete content entries by locale:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every indexed entry
+   */
+  async deleteAllContentEntries(table = CONTENT_TABLE) {
+    try {
+      const { error } = await this.client.from(table).delete().neq("id", "");
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to delete all content entries:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through the IDs of indexed rows in ID order, starting after afterId
+   */
+  async listContentEntryIds(afterId = "", limit = 1000, table = CONTENT_TABLE) {
+    try {
+      const { data, error } = await this.client
+        .from(table)
+        .select("id, parent_id, chunk_index, content_type, locale, updated_at")
+        .gt("id", afterId)
+        .order("id", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
       return data || [];
     } catch (error) {
-      logger.error("Failed to search content:", error);
+      logger.error("Failed to list content entry IDs:", error);
       throw error;
     }
   }
 
   /**
-   * Get distinct filter options
+   * Rename rows to new IDs, `[{ id, new_id, parent_id }]`. Rows whose new ID
+   * already exists are deleted. Returns the number of renamed rows.
    */
-  async getFilterOptions() {
+  async rewriteContentEntryIds(renames, table = CONTENT_TABLE) {
     try {
-      const [contentTypesResult, localesResult] = await Promise.all([
-        this.client
-          .from("content_entries")
-          .select("content_type")
-          .not("content_type", "is", null),
-        this.client
-          .from("content_entries")
-          .select("locale")
-          .not("locale", "is", null),
-      ]);
+      const { data, error } = await this.client.rpc(
+        "rewrite_content_entry_ids",
+        { renames, target_table: table }
+      );
 
-      if (contentTypesResult.error) throw contentTypesResult.error;
-      if (localesResult.error) throw localesResult.error;
+      if (error) {
+        throw error;
+      }
 
-      const contentTypes = [
-        ...new Set(contentTypesResult.data.map((item) => item.content_type)),
-      ];
-      const locales = [
-        ...new Set(localesResult.data.map((item) => item.locale)),
-      ];
+      return data || 0;
+    } catch (error) {
+      logger.error("Failed to rewrite content entry IDs:", error);
+      throw error;
+    }
+  }
 
-      return { contentTypes, locales };
+  /**
+   * Delete rows by ID, without their chunk rows
+   */
+  async deleteContentEntryRows(ids, table = CONTENT_TABLE) {
+    try {
+      const { error } = await this.client.from(table).delete().in("id", ids);
+
+      if (error) {
+        throw error;
+      }
     } catch (error) {
-      logger.error("Failed to get filter options:", error);
+      logger.error("Failed to delete content entry rows:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get persisted sync state (Sync API token) for a scope
+   */
+  async getSyncState(scope) {
+    try {
+      const { data, error } = await this.client
+        .from("sync_state")
+        .select("*")
+        .eq("scope", scope)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get sync state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist sync state (Sync API token) for a scope
+   */
+  async saveSyncState(scope, syncToken) {
+    try {
+      const { error } = await this.client.from("sync_state").upsert(
+        {
+          scope,
+          sync_token: syncToken,
+          last_synced_at: new Date().toISOString(),
+        },
+        { onConflict: "scope" }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to save sync state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the start of a content sync run
+   */
+  async createSyncRun(run) {
+    try {
+      const { data, error } = await this.client
+        .from("sync_runs")
+        .insert(run)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to create sync run:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the outcome and counts of a content sync run
+   */
+  async updateSyncRun(id, changes) {
+    try {
+      const { data, error } = await this.client
+        .from("sync_runs")
+        .update(changes)
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to update sync run:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a content sync run only while it is still running. Returns null
+   * when it was settled in the meantime, e.g. marked abandoned by another
+   * instance.
+   */
+  async updateRunningSyncRun(id, changes) {
+    try {
+      const { data, error } = await this.client
+        .from("sync_runs")
+        .update(changes)
+        .eq("id", id)
+        .eq("status", "running")
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to update sync run:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one content sync run
+   */
+  async getSyncRun(id) {
+    try {
+      const { data, error } = await this.client
+        .from("sync_runs")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get sync run:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List content sync runs, newest first, optionally of one status
+   */
+  async listSyncRuns(limit = 20, status = null) {
+    try {
+      let query = this.client
+        .from("sync_runs")
+        .select("*")
+        .order("started_at", { ascending: false })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to list sync runs:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a job lock for leaseSeconds unless another holder has a live lease
+   */
+  async acquireJobLock(name, holder, leaseSeconds) {
+    try {
+      const { data, error } = await this.client.rpc("acquire_job_lock", {
+        lock_name: name,
+        lock_holder: holder,
+        lease_seconds: leaseSeconds,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      logger.error("Failed to acquire job lock:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease of a held job lock. False when the lock was taken over.
+   */
+  async renewJobLock(name, holder, leaseSeconds) {
+    try {
+      const { data, error } = await this.client.rpc("renew_job_lock", {
+        lock_name: name,
+        lock_holder: holder,
+        lease_seconds: leaseSeconds,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      logger.error("Failed to renew job lock:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a held job lock
+   */
+  async releaseJobLock(name, holder) {
+    try {
+      const { data, error } = await this.client.rpc("release_job_lock", {
+        lock_name: name,
+        lock_holder: holder,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      logger.error("Failed to release job lock:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the live lease of a job lock, null when it is free
+   */
+  async getJobLock(name) {
+    try {
+      const { data, error } = await this.client
+        .from("job_locks")
+        .select("*")
+        .eq("name", name)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get job lock:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored content type configurations
+   */
+  async listContentTypeConfigs() {
+    try {
+      const { data, error } = await this.client
+        .from("content_type_configs")
+        .select("*")
+        .order("uid");
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to list content type configs:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the stored configuration of a content type
+   */
+  async saveContentTypeConfig(uid, contentTypeConfig) {
+    try {
+      const { data, error } = await this.client
+        .from("content_type_configs")
+        .upsert(
+          {
+            uid,
+            config: contentTypeConfig,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "uid" }
+        )
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to save content type config:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the stored configuration of a content type
+   */
+  async deleteContentTypeConfig(uid) {
+    try {
+      const { error } = await this.client
+        .from("content_type_configs")
+        .delete()
+        .eq("uid", uid);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to delete content type config:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a webhook delivery in the queue. Returns null when a delivery with
+   * the same idempotency key is already stored.
+   */
+  async enqueueWebhookEvent(webhookEvent) {
+    try {
+      const { data, error } = await this.client
+        .from("webhook_events")
+        .upsert(webhookEvent, {
+          onConflict: "idempotency_key",
+          ignoreDuplicates: true,
+        })
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error("Failed to enqueue webhook event:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim due webhook events for processing
+   */
+  async claimWebhookEvents(batchSize, staleAfterSeconds) {
+    try {
+      const { data, error } = await this.client.rpc("claim_webhook_events", {
+        batch_size: batchSize,
+        stale_after_seconds: staleAfterSeconds,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to claim webhook events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the status of a queued webhook event
+   */
+  async updateWebhookEvent(id, changes) {
+    try {
+      const { data, error } = await this.client
+        .from("webhook_events")
+        .update(changes)
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to update webhook event:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a worker's claim on a webhook event it is still processing, so it
+   * is not taken for stale and claimed again. Every claim counts an attempt,
+   * so the attempt number identifies this claim. Returns false when the
+   * claim was lost.
+   */
+  async renewWebhookEventClaim(webhookEvent) {
+    try {
+      const { data, error } = await this.client
+        .from("webhook_events")
+        .update({ locked_at: new Date().toISOString() })
+        .eq("id", webhookEvent.id)
+        .eq("status", "processing")
+        .eq("attempts", webhookEvent.attempts)
+        .select("id");
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length > 0;
+    } catch (error) {
+      logger.error("Failed to renew webhook event claim:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one queued webhook event
+   */
+  async getWebhookEvent(id) {
+    try {
+      const { data, error } = await this.client
+        .from("webhook_events")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get webhook event:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest event received after the given one for the same entry,
+   * ignoring discarded events. Null when there is none.
+   */
+  async getNewerWebhookEvent(webhookEvent) {
+    if (!webhookEvent.entry_key) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from("webhook_events")
+        .select("id, event, status, received_at")
+        .eq("entry_key", webhookEvent.entry_key)
+        .gt("received_at", webhookEvent.received_at)
+        .neq("status", "discarded")
+        .order("received_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get newer webhook event:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List queued webhook events, newest first, optionally in one status
+   */
+  async listWebhookEvents(limit = 50, status = null) {
+    try {
+      let query = this.client
+        .from("webhook_events")
+        .select(
+          "id, event, entry_key, status, attempts, last_error, next_attempt_at, received_at, processed_at"
+        )
+        .order("received_at", { ascending: false })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to list webhook events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of queued webhook events in each status
+   */
+  async countWebhookEvents(statuses) {
+    try {
+      const results = await Promise.all(
+        statuses.map((status) =>
+          this.client
+            .from("webhook_events")
+            .select("id", { count: "exact", head: true })
+            .eq("status", status)
+        )
+      );
+
+      const counts = {};
+      results.forEach(({ count, error }, index) => {
+        if (error) {
+          throw error;
+        }
+        counts[statuses[index]] = count || 0;
+      });
+
+      return counts;
+    } catch (error) {
+      logger.error("Failed to count webhook events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete finished (succeeded or discarded) webhook events received before
+   * the given date
+   */
+  async purgeWebhookEvents(before) {
+    try {
+      const { error } = await this.client
+        .from("webhook_events")
+        .delete()
+        .in("status", ["succeeded", "discarded"])
+        .lt("received_at", before);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to purge webhook events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the live index version used to key cached search results
+   */
+  async getIndexVersion() {
+    try {
+      const { data, error } = await this.client
+        .from("index_version")
+        .select("version")
+        .eq("id", 1)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.version ?? 0;
+    } catch (error) {
+      logger.error("Failed to get index version:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bump the live index version after content changed, invalidating cached
+   * search results
+   */
+  async bumpIndexVersion() {
+    try {
+      const { data, error } = await this.client.rpc("bump_index_version");
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to bump index version:", error);
+      // Don't throw: cached results still expire with their TTL
+      return null;
+    }
+  }
+
+  /**
+   * Search content using vector similarity. `options.index` selects the live
+   * index or the embedding migration shadow index; `options.after` ({
+   * similarity, id } of the last result of the previous page) continues a
+   * paginated search.
+   */
+  async searchContent(
+    queryEmbedding,
+    filters = {},
+    limit = 10,
+    threshold = 0.5,
+    options = {}
+  ) {
+    try {
+      const matchFunction =
+        options.index === "shadow" ? "match_content_shadow" : "match_content";
+
+      // Pass filters directly to the RPC call
+      const { data, error } = await this.client.rpc(matchFunction, {
+        query_embedding: queryEmbedding,
+        match_threshold: threshold,
+        match_count: limit,
+        filter_content_types: filters.contentTypes || [],
+        filter_locales: filters.locales || [],
+        ...this.buildMetadataFilters(filters),
+        after_similarity: options.after?.similarity ?? null,
+        after_id: options.after?.id ?? null,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      // The database now handles filtering, so we can return the data directly.
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to search content:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search content combining full-text keyword ranking with vector similarity.
+   * `options.offset` skips results of previous pages.
+   */
+  async hybridSearchContent(
+    queryText,
+    queryEmbedding,
+    filters = {},
+    limit = 10,
+    threshold = 0.5,
+    options = {}
+  ) {
+    try {
+      const hybridConfig = config.search.hybrid;
+
+      const { data, error } = await this.client.rpc("hybrid_match_content", {
+        query_text: queryText,
+        query_embedding: queryEmbedding,
+        match_threshold: threshold,
+        match_count: limit,
+        filter_content_types: filters.contentTypes || [],
+        filter_locales: filters.locales || [],
+        ...this.buildMetadataFilters(filters),
+        fusion_method: options.fusion || hybridConfig.fusion,
+        semantic_weight: options.semanticWeight ?? hybridConfig.semanticWeight,
+        rrf_k: hybridConfig.rrfK,
+        // Deep pages need at least offset + limit candidates
+        candidate_count: Math.max(
+          hybridConfig.candidateCount,
+          (options.offset || 0) + limit
+        ),
+        result_offset: options.offset || 0,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to run hybrid search:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count content types, locales, categories, tags and published dates over
+   * every entry matching a search, not just the returned page of results
+   */
+  async getSearchFacets(
+    queryEmbedding,
+    filters = {},
+    threshold = 0.5,
+    options = {}
+  ) {
+    try {
+      const { data, error } = await this.client.rpc("match_content_facets", {
+        query_embedding: queryEmbedding,
+        match_threshold: threshold,
+        filter_content_types: filters.contentTypes || [],
+        filter_locales: filters.locales || [],
+        ...this.buildMetadataFilters(filters),
+        query_text: options.queryText || null,
+        date_interval: options.dateInterval || "month",
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      const facets = {
+        content_type: [],
+        locale: [],
+        category: [],
+        tag: [],
+        published_date: [],
+      };
+      for (const row of data || []) {
+        facets[row.facet]?.push({
+          value: row.value,
+          count: Number(row.entry_count),
+        });
+      }
+
+      return {
+        contentType: facets.content_type,
+        locale: facets.locale,
+        category: facets.category,
+        tag: facets.tag,
+        // Histogram buckets in chronological order
+        publishedDate: facets.published_date.sort((a, b) =>
+          a.value.localeCompare(b.value)
+        ),
+      };
+    } catch (error) {
+      logger.error("Failed to get search facets:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map tag, category and published date filters to RPC parameters
+   */
+  buildMetadataFilters(filters) {
+    return {
+      filter_tags: filters.tags || [],
+      filter_categories: filters.categories || [],
+      published_after: filters.publishedAfter || null,
+      published_before: filters.publishedBefore || null,
+    };
+  }
+
+  /**
+   * Remove every row from the shadow index before a migration rebuilds it
+   */
+  async clearShadowIndex() {
+    try {
+      const { error } = await this.client
+        .from(SHADOW_TABLE)
+        .delete()
+        .neq("id", "");
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to clear shadow index:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a new embedding model migration
+   */
+  async createEmbeddingMigration(migration) {
+    try {
+      const { data, error } = await this.client
+        .from("embedding_migrations")
+        .insert(migration)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to create embedding migration:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update status or progress of an embedding model migration
+   */
+  async updateEmbeddingMigration(id, changes) {
+    try {
+      const { data, error } = await this.client
+        .from("embedding_migrations")
+        .update(changes)
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to update embedding migration:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one embedding model migration
+   */
+  async getEmbeddingMigration(id) {
+    try {
+      const { data, error } = await this.client
+        .from("embedding_migrations")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Failed to get embedding migration:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List embedding model migrations, newest first. `statuses` optionally
+   * restricts the result to migrations in those states.
+   */
+  async listEmbeddingMigrations(limit = 20, statuses = null) {
+    try {
+      let query = this.client
+        .from("embedding_migrations")
+        .select("*")
+        .order("started_at", { ascending: false })
+        .limit(limit);
+
+      if (statuses) {
+        query = query.in("status", statuses);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to list embedding migrations:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the completed shadow index in as the live index
+   */
+  async cutoverEmbeddingMigration(id) {
+    try {
+      const { error } = await this.adminClient.rpc(
+        "cutover_embedding_migration",
+        { migration_id: id }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to cut over embedding migration:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get distinct filter options
+   */
+  async getFilterOptions() {
+    try {
+      const [contentTypesResult, localesResult] = await Promise.all([
+        this.client
+          .from(CONTENT_TABLE)
+          .select("content_type")
+          .not("content_type", "is", null),
+        this.client
+          .from(CONTENT_TABLE)
+          .select("locale")
+          .not("locale", "is", null),
+      ]);
+
+      if (contentTypesResult.error) throw contentTypesResult.error;
+      if (localesResult.error) throw localesResult.error;
+
+      const contentTypes = [
+        ...new Set(contentTypesResult.data.map((item) => item.content_type)),
+      ];
+      const locales = [
+        ...new Set(localesResult.data.map((item) => item.locale)),
+      ];
+
+      return { contentTypes, locales };
+    } catch (error) {
+      logger.error("Failed to get filter options:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get filter values with the number of entries for each. Returns
+   * { contentTypes, locales, categories, tags } as [{ value, count }] plus
+   * the published date range.
+   */
+  async getFilterCounts() {
+    try {
+      const [countsResult, rangeResult] = await Promise.all([
+        this.client.rpc("get_filter_counts"),
+        this.client.rpc("get_published_range"),
+      ]);
+
+      if (countsResult.error) throw countsResult.error;
+      if (rangeResult.error) throw rangeResult.error;
+
+      const facets = {
+        content_type: [],
+        locale: [],
+        category: [],
+        tag: [],
+      };
+      for (const row of countsResult.data || []) {
+        facets[row.facet]?.push({
+          value: row.value,
+          count: Number(row.entry_count),
+        });
+      }
+
+      const [range] = rangeResult.data || [];
+
+      return {
+        contentTypes: facets.content_type,
+        locales: facets.locale,
+        categories: facets.category,
+        tags: facets.tag,
+        publishedRange: {
+          earliest: range?.earliest || null,
+          latest: range?.latest || null,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to get filter counts:", error);
       throw error;
     }
   }
@@ -0,0 +1,628 @@
+const contentstackService = require("./contentstack");
+const embeddingsService = require("./embeddings");
+const embeddingMigrationService = require("./embeddingMigration");
+const supabaseService = require("./supabase");
+const contentSyncJob = require("../jobs/syncContent");
+const config = require("../utils/config");
+const { buildEntryId } = require("../utils/documentIds");
+const logger = require("../utils/logger");
+
+// Contentstack sends the module and action separately (`module: "entry"`,
+// `event: "publish"`); relays and older integrations send a dotted name such
+// as "entry.published". Both are normalized to "entry.publish".
+const MODULE_ALIASES = {
+  entries: "entry",
+  assets: "asset",
+  content_types: "content_type",
+  environments: "environment",
+  locales: "locale",
+  releases: "release",
+};
+const ACTION_ALIASES = {
+  created: "create",
+  updated: "update",
+  deleted: "delete",
+  published: "publish",
+  unpublished: "unpublish",
+  deployed: "deploy",
+};
+
+// Events that never change what is published to the environment
+const IGNORED_EVENTS = new Set([
+  "entry.create",
+  "entry.update",
+  "asset.create",
+  "asset.update",
+  "content_type.create",
+  "environment.create",
+  "environment.update",
+  "locale.create",
+]);
+
+// Content type uid Contentstack uses for assets in release items
+const ASSET_CONTENT_TYPE = "built_io_upload";
+
+/**
+ * Applies Contentstack webhook events to the search index. Called by the
+ * webhook queue worker; throwing makes the queue retry the event.
+ */
+class WebhookEventService {
+  /**
+   * Apply one webhook delivery. Resolves to `{ deferred: true }` when the
+   * event needs the sync lock while a sync holds it, so the queue tries it
+   * again later.
+   */
+  async process(body) {
+    const event = this.getEventName(body);
+    const data = body?.data || {};
+
+    if (IGNORED_EVENTS.has(event)) {
+      logger.debug(`Contentstack event ${event} does not affect the index`);
+      return;
+    }
+
+    if (this.isOtherEnvironment(data)) {
+      logger.debug(
+        `Ignoring ${event} for another environment than ${config.contentstack.environment}`
+      );
+      return;
+    }
+
+    switch (event) {
+      case "entry.publish":
+        await this.handleEntriesPublished(this.getEntryItems(data), {
+          // Bulk payloads only list the entries, not their fields
+          fetch: Array.isArray(data.entries),
+        });
+        break;
+      case "entry.unpublish":
+        await this.handleEntriesRemoved(
+          this.getEntryItems(data),
+          "unpublished"
+        );
+        break;
+      case "entry.delete":
+        await this.handleEntriesRemoved(this.getEntryItems(data), "deleted");
+        break;
+      case "asset.publish":
+      case "asset.unpublish":
+      case "asset.delete":
+        await this.handleAssetsChanged(this.getAssetUids(data), data.locale);
+        break;
+      case "content_type.update":
+        return this.handleContentTypeUpdated(data.content_type?.uid);
+      case "content_type.delete":
+        await this.handleContentTypeDeleted(data.content_type?.uid);
+        break;
+      case "release.deploy":
+        await this.handleReleaseDeployed(data);
+        break;
+      case "locale.update":
+        return this.handleLocaleUpdated(getCode(data.locale));
+      case "locale.delete":
+        await this.handleLocaleDeleted(getCode(data.locale));
+        break;
+      case "environment.delete":
+        await this.handleEnvironmentDeleted(data.environment);
+        break;
+      default:
+        logger.warn(`Unhandled Contentstack event: ${event}`);
+    }
+  }
+
+  /**
+   * Normalized `module.action` name of a webhook delivery
+   */
+  getEventName(body) {
+    const event = String(body?.event || "");
+    const [moduleName, action] = event.includes(".")
+      ? event.split(".")
+      : [body?.module, event];
+
+    if (!moduleName || !action) {
+      return event;
+    }
+
+    return `${MODULE_ALIASES[moduleName] || moduleName}.${
+      ACTION_ALIASES[action] || action
+    }`;
+  }
+
+  /**
+   * Entry key used to process the events of one entry in order. Bulk and
+   * stack-wide events have none.
+   */
+  getEntryKey(body) {
+    const data = body?.data || {};
+
+    if (data.entry) {
+      const [item] = this.getEntryItems(data);
+      return item
+        ? `${item.contentType}:${item.entry.uid}:${item.locale}`
+        : null;
+    }
+
+    if (data.asset?.uid) {
+      return `asset:${data.asset.uid}`;
+    }
+
+    if (data.content_type?.uid) {
+      return `content_type:${data.content_type.uid}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Publish events name the environment; those of other environments are
+   * not indexed
+   */
+  isOtherEnvironment(data) {
+    const environments = []
+      .concat(data.environment || data.environments || [])
+      .map((environment) =>
+        typeof environment === "string" ? environment : environment?.name
+      )
+      .filter(Boolean);
+
+    return (
+      environments.length > 0 &&
+      !environments.includes(config.contentstack.environment)
+    );
+  }
+
+  /**
+   * `{ contentType, entry, locale }` items of a single or bulk entry payload
+   */
+  getEntryItems(data) {
+    const bulk = Array.isArray(data.entries);
+    const entries = bulk ? data.entries : [data.entry];
+
+    return entries
+      .filter((entry) => entry?.uid)
+      .map((entry) => ({
+        contentType:
+          entry.content_type_uid ||
+          entry._content_type_uid ||
+          entry.content_type?.uid ||
+          data.content_type_uid ||
+          data.content_type?.uid,
+        entry,
+        // A single entry may be published to a locale falling back to its own
+        locale:
+          (bulk ? entry.locale || data.locale : data.locale || entry.locale) ||
+          "en-us",
+      }))
+      .filter((item) => {
+        if (!item.contentType) {
+          logger.warn(`Entry ${item.entry.uid} has no content type, skipped`);
+        }
+        return Boolean(item.contentType);
+      });
+  }
+
+  getAssetUids(data) {
+    const assets = Array.isArray(data.assets) ? data.assets : [data.asset];
+    return assets.filter((asset) => asset?.uid).map((asset) => asset.uid);
+  }
+
+  /**
+   * Index published entries and re-index the entries that reference them.
+   * With `fetch`, the entries are fetched from Contentstack first.
+   */
+  async handleEntriesPublished(items, { fetch = false } = {}) {
+    if (items.length === 0) {
+      logger.warn("Invalid entry published data");
+      return;
+    }
+
+    for (const [locale, byContentType] of groupItems(items)) {
+      const transformedEntries = [];
+
+      for (const [contentType, contentTypeItems] of byContentType) {
+        const entries = contentTypeItems.map((item) => item.entry);
+
+        // Webhook payloads only carry reference uids
+        const resolvedEntries = fetch
+          ? await this.fetchEntries(
+              contentType,
+              entries.map((entry) => entry.uid),
+              locale
+            )
+          : await contentstackService.resolveReferences(
+              contentType,
+              entries,
+              locale
+            );
+
+        transformedEntries.push(
+          ...resolvedEntries.map((entry) =>
+            contentstackService.transformEntry(entry, contentType, locale)
+          )
+        );
+      }
+
+      if (transformedEntries.length === 0) {
+        logger.warn(`No published entries found for ${locale}`);
+        continue;
+      }
+
+      const chunkRows = await this.indexEntries(transformedEntries);
+
+      logger.info(
+        `✅ ${
+          transformedEntries.length
+        } entries published and synced (${locale}): ${transformedEntries
+          .slice(0, 5)
+          .map((entry) => entry.id)
+          .join(", ")} (${chunkRows.length} chunks)`,
+        embeddingsService.summarizeEmbeddingStatus(chunkRows)
+      );
+
+      await this.reindexReferencingEntries(
+        transformedEntries.map((entry) => entry.raw_data.uid),
+        locale
+      );
+    }
+  }
+
+  /**
+   * Fetch published entries by uid, 100 at a time. Entries that are not
+   * published are left out.
+   */
+  async fetchEntries(contentType, uids, locale) {
+    const entries = [];
+
+    for (let i = 0; i < uids.length; i += 100) {
+      entries.push(
+        ...(await contentstackService.getEntriesByIds(
+          contentType,
+          uids.slice(i, i + 100),
+          locale
+        ))
+      );
+    }
+
+    return entries;
+  }
+
+  /**
+   * Re-index the entries that fold republished entries into their text
+   */
+  async reindexReferencingEntries(entryUids, locale) {
+    const groups = await contentstackService.getReferencingEntries(
+      entryUids,
+      locale
+    );
+
+    const referencingEntries = groups.flatMap(({ contentType, entries }) =>
+      entries.map((entry) =>
+        contentstackService.transformEntry(entry, contentType, locale)
+      )
+    );
+
+    if (referencingEntries.length === 0) {
+      return;
+    }
+
+    const chunkRows = await this.indexEntries(referencingEntries);
+
+    logger.info(
+      `🔗 Re-indexed ${referencingEntries.length} entries referencing ${entryUids.length} updated entries (${chunkRows.length} chunks)`,
+      embeddingsService.summarizeEmbeddingStatus(chunkRows)
+    );
+  }
+
+  /**
+   * Embed transformed entries and upsert their chunks. Returns the chunk rows.
+   */
+  async indexEntries(transformedEntries) {
+    // Generate one embedding per chunk
+    const chunkRows = await embeddingsService.processContentEntries(
+      transformedEntries
+    );
+
+    if (chunkRows.length === 0) {
+      throw new Error(
+        `Failed to generate embeddings for entries ${transformedEntries
+          .map((entry) => entry.id)
+          .join(", ")}`
+      );
+    }
+
+    // Sync to Supabase
+    const supabaseEntries = chunkRows.map((row) => ({
+      id: row.id,
+      title: row.title,
+      snippet: row.snippet,
+      url: row.url,
+      content_type: row.content_type,
+      locale: row.locale,
+      updated_at: row.updated_at,
+      embedding: row.embedding,
+      parent_id: row.parent_id,
+      chunk_index: row.chunk_index,
+      passage: row.passage,
+      content_hash: row.content_hash,
+      embedding_model: row.embedding_model,
+      tags: row.tags,
+      category: row.category,
+      published_at: row.published_at,
+    }));
+
+    await supabaseService.batchUpsertContentEntries(supabaseEntries);
+    await supabaseService.pruneEntryChunks(supabaseEntries);
+    await supabaseService.bumpIndexVersion();
+    await embeddingMigrationService.mirrorEntries(transformedEntries);
+
+    return chunkRows;
+  }
+
+  /**
+   * Remove unpublished or deleted entries and their chunks
+   */
+  async handleEntriesRemoved(items, action) {
+    if (items.length === 0) {
+      logger.warn(`Invalid entry ${action} data`);
+      return;
+    }
+
+    for (const { contentType, entry, locale } of items) {
+      const entryId = buildEntryId(contentType, entry.uid, locale);
+
+      await supabaseService.deleteContentEntry(entryId);
+      await embeddingMigrationService.mirrorDelete(entryId);
+
+      logger.info(`🗑️ Entry ${action} and removed: ${entryId}`);
+    }
+
+    await supabaseService.bumpIndexVersion();
+  }
+
+  /**
+   * Re-index the entries whose file fields hold changed assets, since their
+   * indexed text includes the asset title and description
+   */
+  async handleAssetsChanged(assetUids, locale) {
+    if (assetUids.length === 0) {
+      logger.warn("Invalid asset data");
+      return;
+    }
+
+    for (const assetLocale of locale ? [locale] : config.contentstack.locales) {
+      const groups = await contentstackService.getEntriesWithAssets(
+        assetUids,
+        assetLocale
+      );
+      const transformedEntries = groups.flatMap(({ contentType, entries }) =>
+        entries.map((entry) =>
+          contentstackService.transformEntry(entry, contentType, assetLocale)
+        )
+      );
+
+      if (transformedEntries.length === 0) {
+        continue;
+      }
+
+      const chunkRows = await this.indexEntries(transformedEntries);
+
+      logger.info(
+        `🖼️ Re-indexed ${transformedEntries.length} entries embedding ${assetUids.length} changed assets (${assetLocale}, ${chunkRows.length} chunks)`,
+        embeddingsService.summarizeEmbeddingStatus(chunkRows)
+      );
+    }
+  }
+
+  /**
+   * Re-index every entry of a content type whose schema changed
+   */
+  async handleContentTypeUpdated(contentTypeUid) {
+    if (!contentTypeUid) {
+      logger.warn("Invalid content type updated data");
+      return;
+    }
+
+    const runId = await this.startReindex([contentTypeUid], null);
+    if (!runId) {
+      return { deferred: true };
+    }
+
+    logger.info(
+      `🧩 Content type updated, re-indexing ${contentTypeUid} in sync run ${runId}`
+    );
+  }
+
+  /**
+   * Purge every entry of a deleted content type
+   */
+  async handleContentTypeDeleted(contentTypeUid) {
+    if (!contentTypeUid) {
+      logger.warn("Invalid content type deleted data");
+      return;
+    }
+
+    await supabaseService.deleteContentEntriesByType(contentTypeUid);
+    await supabaseService.bumpIndexVersion();
+    await embeddingMigrationService.mirrorDeleteContentType(contentTypeUid);
+
+    logger.info(
+      `🗑️ Content type deleted, removed its entries: ${contentTypeUid}`
+    );
+  }
+
+  /**
+   * Apply the entries and assets a release published or unpublished
+   */
+  async handleReleaseDeployed(data) {
+    const release = data.release || {};
+    const items = release.items || data.items || [];
+    const unpublishing = (item) =>
+      (item.action || release.action || data.action) === "unpublish";
+
+    const assetItems = items.filter(
+      (item) => item.content_type_uid === ASSET_CONTENT_TYPE
+    );
+    const entryItems = items
+      .filter(
+        (item) => item.uid && item.content_type_uid !== ASSET_CONTENT_TYPE
+      )
+      .map((item) => ({
+        contentType: item.content_type_uid,
+        entry: { uid: item.uid },
+        locale: item.locale || data.locale || "en-us",
+        unpublish: unpublishing(item),
+      }))
+      .filter((item) => item.contentType);
+
+    const published = entryItems.filter((item) => !item.unpublish);
+    const unpublished = entryItems.filter((item) => item.unpublish);
+
+    if (published.length > 0) {
+      await this.handleEntriesPublished(published, { fetch: true });
+    }
+    if (unpublished.length > 0) {
+      await this.handleEntriesRemoved(unpublished, "unpublished");
+    }
+    for (const [locale, assets] of groupBy(
+      assetItems,
+      (item) => item.locale || data.locale || "en-us"
+    )) {
+      await this.handleAssetsChanged(
+        assets.map((item) => item.uid),
+        locale
+      );
+    }
+
+    logger.info(
+      `🚀 Release deployed: ${release.name || release.uid || "unnamed"}`,
+      {
+        published: published.length,
+        unpublished: unpublished.length,
+        assets: assetItems.length,
+      }
+    );
+  }
+
+  /**
+   * A locale's fallback decides what its entries serve, so re-index every
+   * content type in a changed locale that is synced
+   */
+  async handleLocaleUpdated(locale) {
+    if (!locale || !config.contentstack.locales.includes(locale)) {
+      logger.debug(`Locale ${locale} is not synced, nothing to re-index`);
+      return;
+    }
+
+    const contentTypes = await contentstackService.getContentTypes();
+    const runId = await this.startReindex(
+      contentTypes.map((contentType) => contentType.uid),
+      [locale]
+    );
+    if (!runId) {
+      return { deferred: true };
+    }
+
+    logger.info(
+      `🌐 Locale updated, re-indexing ${locale} in sync run ${runId}`
+    );
+  }
+
+  /**
+   * Purge every entry of a deleted locale
+   */
+  async handleLocaleDeleted(locale) {
+    if (!locale) {
+      logger.warn("Invalid locale deleted data");
+      return;
+    }
+
+    await supabaseService.deleteContentEntriesByLocale(locale);
+    await supabaseService.bumpIndexVersion();
+    await embeddingMigrationService.mirrorDeleteLocale(locale);
+
+    logger.info(`🗑️ Locale deleted, removed its entries: ${locale}`);
+  }
+
+  /**
+   * Nothing indexed is published once the synced environment is deleted, so
+   * the index is emptied. Other environments are never indexed.
+   */
+  async handleEnvironmentDeleted(environment) {
+    const name =
+      typeof environment === "string" ? environment : environment?.name;
+
+    if (name !== config.contentstack.environment) {
+      logger.debug(`Environment ${name} is not synced, nothing to remove`);
+      return;
+    }
+
+    await supabaseService.deleteAllContentEntries();
+    await supabaseService.bumpIndexVersion();
+    await embeddingMigrationService.mirrorDeleteAll();
+
+    logger.error(
+      `🗑️ Synced environment ${name} was deleted, the search index has been emptied. Point CONTENTSTACK_ENVIRONMENT at another environment and run a full sync.`
+    );
+  }
+
+  /**
+   * Hand a re-index of whole content types to the sync job, which runs it in
+   * the background under the sync lock, so it never races another sync or
+   * holds up the queue. Resolves to the sync run ID, or null while a sync is
+   * running here or on another instance.
+   * @param {string[]} contentTypes - Content type UIDs
+   * @param {string[]|null} locales - Locales, or null for every synced one
+   */
+  async startReindex(contentTypes, locales) {
+    const job = await contentSyncJob.start({
+      contentTypes,
+      locales,
+      trigger: "webhook",
+    });
+    if (!job) {
+      return null;
+    }
+
+    // Failures are logged and recorded in sync_runs
+    job.done.catch(() => {});
+    return job.id;
+  }
+}
+
+/**
+ * Group entry items by locale, then content type
+ */
+function groupItems(items) {
+  return new Map(
+    Array.from(
+      groupBy(items, (item) => item.locale),
+      ([locale, localeItems]) => [
+        locale,
+        groupBy(localeItems, (item) => item.contentType),
+      ]
+    )
+  );
+}
+
+function groupBy(items, getKey) {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = getKey(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+
+  return groups;
+}
+
+/**
+ * Locale code of a locale payload (`{ code }` or the code itself)
+ */
+function getCode(locale) {
+  return typeof locale === "string" ? locale : locale?.code;
+}
+
+module.exports = new WebhookEventService();
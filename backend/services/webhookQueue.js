@@ -0,0 +1,286 @@
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const {
+  getBackoffDelay,
+  categorizeError,
+  isRetryableError,
+} = require("../utils/retry");
+const supabaseService = require("./supabase");
+const webhookEventService = require("./webhookEvents");
+const embeddingMigrationService = require("./embeddingMigration");
+
+const STATUSES = [
+  "pending",
+  "processing",
+  "succeeded",
+  "dead_letter",
+  "discarded",
+];
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Durable queue of Contentstack webhook events. Deliveries are stored in
+ * webhook_events as soon as they arrive and applied by a polling worker, so
+ * failures are retried with backoff and a restart never loses an event.
+ */
+class WebhookQueueService {
+  constructor(queueConfig) {
+    this.config = queueConfig;
+    this.statuses = STATUSES;
+    this.timer = null;
+    this.draining = null;
+    this.lastPurgeAt = 0;
+    this.stats = { processed: 0, retried: 0, deadLettered: 0, lastError: null };
+  }
+
+  /**
+   * Store a webhook delivery. Returns the queued event, or null when the
+   * same delivery is already queued.
+   */
+  async enqueue(body, idempotencyKey) {
+    const webhookEvent = await supabaseService.enqueueWebhookEvent({
+      event: webhookEventService.getEventName(body),
+      payload: body,
+      idempotency_key: idempotencyKey,
+      entry_key: webhookEventService.getEntryKey(body),
+    });
+
+    if (webhookEvent) {
+      this.poke();
+    }
+
+    return webhookEvent;
+  }
+
+  /**
+   * Start polling for due events
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poke(), this.config.pollIntervalMs);
+    logger.info("📬 Webhook queue worker started", {
+      pollIntervalMs: this.config.pollIntervalMs,
+      maxAttempts: this.config.maxAttempts,
+    });
+    this.poke();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning() {
+    return Boolean(this.timer);
+  }
+
+  /**
+   * Process due events now rather than on the next poll
+   */
+  poke() {
+    if (!this.timer || this.draining) {
+      return;
+    }
+
+    this.draining = this.drain()
+      .catch((error) => {
+        logger.error("Webhook queue worker failed:", error);
+      })
+      .finally(() => {
+        this.draining = null;
+      });
+  }
+
+  /**
+   * Process claimed events until none are due
+   */
+  async drain() {
+    for (;;) {
+      const webhookEvents = await supabaseService.claimWebhookEvents(
+        this.config.batchSize,
+        this.config.staleAfterSeconds
+      );
+
+      if (webhookEvents.length === 0) {
+        break;
+      }
+
+      // Another instance may have cut over to a new embedding model
+      await embeddingMigrationService.syncLiveModel();
+
+      // In order: events of one entry must not overtake each other
+      for (const webhookEvent of webhookEvents) {
+        await this.processEvent(webhookEvent);
+      }
+    }
+
+    if (Date.now() - this.lastPurgeAt > PURGE_INTERVAL_MS) {
+      this.lastPurgeAt = Date.now();
+      const before = new Date(
+        Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000
+      ).toISOString();
+      await supabaseService.purgeWebhookEvents(before);
+    }
+  }
+
+  async processEvent(webhookEvent) {
+    // Renew the claim while the event is processed, well before it would be
+    // taken for stale
+    const heartbeat = setInterval(() => {
+      supabaseService.renewWebhookEventClaim(webhookEvent).then(
+        (renewed) => {
+          if (!renewed) {
+            clearInterval(heartbeat);
+            logger.warn(
+              `Webhook event ${webhookEvent.id} was claimed by another worker`
+            );
+          }
+        },
+        (error) => {
+          logger.warn(
+            `Failed to renew claim on webhook event ${webhookEvent.id}:`,
+            error.message
+          );
+        }
+      );
+    }, (this.config.staleAfterSeconds * 1000) / 3);
+
+    try {
+      const result = await webhookEventService.process(webhookEvent.payload);
+      if (result?.deferred) {
+        await this.defer(webhookEvent);
+        return;
+      }
+
+      await supabaseService.updateWebhookEvent(webhookEvent.id, {
+        status: "succeeded",
+        last_error: null,
+        locked_at: null,
+        processed_at: new Date().toISOString(),
+      });
+      this.stats.processed++;
+    } catch (error) {
+      await this.recordFailure(webhookEvent, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Put back an event waiting for the running sync. Waiting is not a
+   * failure, so the attempt is given back.
+   */
+  async defer(webhookEvent) {
+    const { id, event, attempts } = webhookEvent;
+
+    await supabaseService.updateWebhookEvent(id, {
+      status: "pending",
+      attempts: Math.max(0, attempts - 1),
+      last_error: "Waiting for the running sync to finish",
+      locked_at: null,
+      next_attempt_at: new Date(
+        Date.now() + this.config.retryBaseDelayMs
+      ).toISOString(),
+    });
+
+    logger.info(
+      `⏳ Webhook event ${id} (${event}) waits for the running sync, retrying in ${Math.round(
+        this.config.retryBaseDelayMs / 1000
+      )}s`
+    );
+  }
+
+  /**
+   * Schedule a failed event for retry, or dead-letter it after the last
+   * attempt. Failures that cannot succeed on retry, such as validation
+   * errors or unknown content types, are dead-lettered at once; errors of
+   * unknown cause are retried.
+   */
+  async recordFailure(webhookEvent, error) {
+    const { id, event, attempts } = webhookEvent;
+    const category = categorizeError(error);
+    const lastError = `${category}: ${error.message}`;
+    this.stats.lastError = lastError;
+
+    const permanent = category !== "UNKNOWN" && !isRetryableError(error);
+    if (permanent || attempts >= this.config.maxAttempts) {
+      await supabaseService.updateWebhookEvent(id, {
+        status: "dead_letter",
+        last_error: lastError,
+        locked_at: null,
+      });
+      this.stats.deadLettered++;
+
+      logger.error(
+        permanent
+          ? `💀 Webhook event ${id} (${event}) dead-lettered, ${category} errors are not retried`
+          : `💀 Webhook event ${id} (${event}) dead-lettered after ${attempts} attempts`,
+        error
+      );
+      return;
+    }
+
+    const delay = getBackoffDelay(attempts, {
+      baseDelay: this.config.retryBaseDelayMs,
+      maxDelay: this.config.retryMaxDelayMs,
+    });
+
+    await supabaseService.updateWebhookEvent(id, {
+      status: "pending",
+      last_error: lastError,
+      locked_at: null,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    });
+    this.stats.retried++;
+
+    logger.warn(
+      `Webhook event ${id} (${event}) failed on attempt ${attempts}/${
+        this.config.maxAttempts
+      }, retrying in ${Math.round(delay / 1000)}s`,
+      { error: lastError }
+    );
+  }
+
+  /**
+   * Queue a dead-lettered or discarded event again, with fresh attempts
+   */
+  async replay(id) {
+    const webhookEvent = await supabaseService.updateWebhookEvent(id, {
+      status: "pending",
+      attempts: 0,
+      last_error: null,
+      locked_at: null,
+      processed_at: null,
+      next_attempt_at: new Date().toISOString(),
+    });
+
+    this.poke();
+    return webhookEvent;
+  }
+
+  /**
+   * Give up on an event. It is kept for the retention period.
+   */
+  async discard(id) {
+    return supabaseService.updateWebhookEvent(id, {
+      status: "discarded",
+      locked_at: null,
+      processed_at: new Date().toISOString(),
+    });
+  }
+
+  async getStats() {
+    return {
+      running: this.isRunning(),
+      pollIntervalMs: this.config.pollIntervalMs,
+      maxAttempts: this.config.maxAttempts,
+      counts: await supabaseService.countWebhookEvents(STATUSES),
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = new WebhookQueueService(config.webhooks.queue);
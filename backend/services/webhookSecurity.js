@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const { safeEqual } = require("../utils/safeEqual");
+const { createCacheStore } = require("../utils/cacheStores");
+
+/**
+ * Authenticity and replay checks for Contentstack webhooks, and the
+ * idempotency keys that make duplicate deliveries run once.
+ */
+class WebhookSecurityService {
+  constructor(webhookConfig) {
+    this.config = webhookConfig;
+    this.store = createCacheStore(
+      webhookConfig.idempotency,
+      "webhook-delivery:"
+    );
+    // Deliveries being processed by this instance
+    this.inFlight = new Set();
+    this.stats = { accepted: 0, rejected: 0, duplicates: 0, reasons: {} };
+
+    const checks = this.getEnabledChecks();
+    if (checks.length > 0) {
+      logger.info("🔐 Webhook verification enabled", {
+        checks,
+        toleranceSeconds: webhookConfig.toleranceSeconds,
+      });
+    } else if (webhookConfig.allowUnverified) {
+      logger.warn(
+        "⚠️ Webhook verification disabled (WEBHOOK_ALLOW_UNVERIFIED=true)"
+      );
+    } else {
+      logger.warn(
+        "⚠️ No webhook verification configured, Contentstack webhooks will be rejected"
+      );
+    }
+  }
+
+  /**
+   * Names of the configured authenticity checks
+   */
+  getEnabledChecks() {
+    const { basicAuth, secretHeader, signature } = this.config;
+
+    return [
+      basicAuth.username && basicAuth.password && "basicAuth",
+      secretHeader.value && "secretHeader",
+      signature.secret && "signature",
+    ].filter(Boolean);
+  }
+
+  /**
+   * Verify a webhook request. Returns null when it is authentic and recent,
+   * otherwise the reason it is rejected.
+   */
+  verify(req) {
+    const checks = this.getEnabledChecks();
+
+    if (checks.length === 0) {
+      return this.config.allowUnverified
+        ? null
+        : "no webhook verification configured";
+    }
+
+    const reason =
+      (checks.includes("basicAuth") && this.verifyBasicAuth(req)) ||
+      (checks.includes("secretHeader") && this.verifySecretHeader(req)) ||
+      (checks.includes("signature") && this.verifySignature(req)) ||
+      this.verifyTimestamp(req.body);
+
+    return reason || null;
+  }
+
+  verifyBasicAuth(req) {
+    const header = req.headers.authorization || "";
+    if (!header.startsWith("Basic ")) {
+      return "missing basic auth credentials";
+    }
+
+    const decoded = Buffer.from(header.slice(6), "base64").toString();
+    const separator = decoded.indexOf(":");
+    const { username, password } = this.config.basicAuth;
+    // Compare both parts so timing does not reveal which one is wrong
+    const matches = [
+      safeEqual(decoded.slice(0, separator), username),
+      safeEqual(decoded.slice(separator + 1), password),
+    ];
+
+    if (separator === -1 || !matches.every(Boolean)) {
+      return "invalid basic auth credentials";
+    }
+
+    return null;
+  }
+
+  verifySecretHeader(req) {
+    const { name, value } = this.config.secretHeader;
+    const provided = req.headers[name];
+
+    if (!provided) {
+      return `missing ${name} header`;
+    }
+
+    return safeEqual(provided, value) ? null : `invalid ${name} header`;
+  }
+
+  verifySignature(req) {
+    const { header, secret } = this.config.signature;
+    const provided = req.headers[header];
+
+    if (!provided) {
+      return `missing ${header} header`;
+    }
+
+    if (!req.rawBody) {
+      return "request body unavailable for signature check";
+    }
+
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(req.rawBody)
+      .digest("hex");
+
+    return safeEqual(provided.replace(/^sha256=/, "").toLowerCase(), expected)
+      ? null
+      : "invalid signature";
+  }
+
+  /**
+   * Reject deliveries whose `triggered_at` is outside the tolerance, so a
+   * captured request cannot be replayed later. Contentstack's retries keep
+   * the original `triggered_at`, so the tolerance spans its retry window;
+   * repeats within it are skipped by their idempotency key instead.
+   */
+  verifyTimestamp(body) {
+    const triggeredAt = Date.parse(body?.triggered_at);
+
+    if (Number.isNaN(triggeredAt)) {
+      return "missing or invalid triggered_at timestamp";
+    }
+
+    const ageSeconds = Math.round((Date.now() - triggeredAt) / 1000);
+    if (ageSeconds > this.config.toleranceSeconds) {
+      return `triggered_at is ${ageSeconds}s old, outside the ${this.config.toleranceSeconds}s tolerance`;
+    }
+    if (-ageSeconds > this.config.clockSkewSeconds) {
+      return `triggered_at is ${-ageSeconds}s in the future, outside the ${
+        this.config.clockSkewSeconds
+      }s clock skew`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Key shared by every delivery of the same event. Contentstack redelivers
+   * the same payload, so the event, entry version and trigger time identify
+   * it; payloads without an entry fall back to a hash of the body.
+   */
+  getIdempotencyKey(body, rawBody) {
+    const { event, triggered_at: triggeredAt, data = {} } = body;
+    const item = data.entry || data.asset || {};
+
+    if (item.uid) {
+      return [
+        event,
+        data.content_type_uid || data.content_type?.uid || "asset",
+        item.uid,
+        item.locale || data.locale || "",
+        item._version ?? "",
+        triggeredAt || "",
+      ].join(":");
+    }
+
+    return crypto
+      .createHash("sha256")
+      .update(rawBody || JSON.stringify(body))
+      .digest("hex");
+  }
+
+  /**
+   * Claim a delivery. Returns false when it was already queued or is being
+   * queued.
+   */
+  async claim(key) {
+    if (this.inFlight.has(key)) {
+      this.stats.duplicates++;
+      return false;
+    }
+
+    this.inFlight.add(key);
+
+    try {
+      if (await this.store.get(key)) {
+        this.inFlight.delete(key);
+        this.stats.duplicates++;
+        return false;
+      }
+    } catch (error) {
+      // Processing twice is safe, rejecting a delivery is not
+      logger.warn("Webhook idempotency store unavailable:", error.message);
+    }
+
+    this.stats.accepted++;
+    return true;
+  }
+
+  /**
+   * Remember a queued delivery so redeliveries are skipped
+   */
+  async complete(key) {
+    this.inFlight.delete(key);
+
+    try {
+      // Remembered at least as long as the delivery passes verifyTimestamp
+      await this.store.set(
+        key,
+        { processedAt: new Date().toISOString() },
+        Math.max(
+          this.config.idempotency.ttlSeconds,
+          this.config.toleranceSeconds
+        )
+      );
+    } catch (error) {
+      logger.warn("Failed to record processed webhook:", error.message);
+    }
+  }
+
+  /**
+   * Release a delivery that could not be queued, so Contentstack's retry is
+   * accepted
+   */
+  release(key) {
+    this.inFlight.delete(key);
+  }
+
+  recordRejection(reason) {
+    this.stats.rejected++;
+    // Group reasons that embed values, e.g. timestamp ages
+    const category = reason.replace(/-?\d+s/g, "Ns");
+    this.stats.reasons[category] = (this.stats.reasons[category] || 0) + 1;
+  }
+
+  getStats() {
+    return {
+      checks: this.getEnabledChecks(),
+      allowUnverified: this.config.allowUnverified,
+      toleranceSeconds: this.config.toleranceSeconds,
+      idempotencyBackend: this.store.name,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = new WebhookSecurityService(config.webhooks);
@@ -5,6 +5,9 @@
 create extension if not exists vector;
 
 -- Ensure tables exist (from README.md but complete versions)
+-- vector(1536) matches text-embedding-3-small. When using another embedding
+-- provider, replace 1536 throughout this file with its dimensions (e.g. 384
+-- for the local Xenova/all-MiniLM-L6-v2 model).
 create table if not exists content_entries (
   id text primary key,
   title text,
@@ -13,7 +16,127 @@ create table if not exists content_entries (
   content_type text,
   locale text,
   updated_at timestamptz,
-  embedding vector(1536)
+  embedding vector(1536),
+  parent_id text,
+  chunk_index int default 0,
+  passage text,
+  content_hash text,
+  embedding_model text,
+  tags text[] default '{}',
+  category text,
+  published_at timestamptz
+);
+
+-- Chunked indexing: every row is one passage of a parent entry. Rows written
+-- before chunking existed are treated as single-chunk entries.
+alter table content_entries add column if not exists parent_id text;
+alter table content_entries add column if not exists chunk_index int default 0;
+alter table content_entries add column if not exists passage text;
+update content_entries set parent_id = id where parent_id is null;
+
+-- Hash of the exact embedding text plus model, used to skip re-embedding
+-- unchanged chunks
+alter table content_entries add column if not exists content_hash text;
+alter table content_entries add column if not exists embedding_model text;
+
+-- Entry metadata used as search filters
+alter table content_entries add column if not exists tags text[] default '{}';
+alter table content_entries add column if not exists category text;
+alter table content_entries add column if not exists published_at timestamptz;
+
+-- Contentstack Sync API tokens used for incremental syncs (one per locale)
+create table if not exists sync_state (
+  scope text primary key,
+  sync_token text,
+  last_synced_at timestamptz default now()
+);
+
+-- Version of the live index, bumped on every write so cached search
+-- results are never served after content changed
+create table if not exists index_version (
+  id int primary key default 1 check (id = 1),
+  version bigint not null default 0,
+  updated_at timestamptz default now()
+);
+insert into index_version (id) values (1) on conflict (id) do nothing;
+
+-- Content type configurations managed through /api/admin/content-types.
+-- They override the built-in defaults in contentTypeManager.
+create table if not exists content_type_configs (
+  uid text primary key,
+  config jsonb not null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Contentstack webhook deliveries, stored on receipt and processed by the
+-- webhook worker. Failures are retried with backoff; after the last attempt
+-- an event stays dead-lettered until it is replayed or discarded.
+create table if not exists webhook_events (
+  id uuid primary key default gen_random_uuid(),
+  event text not null,
+  payload jsonb not null,
+  -- Duplicate deliveries share a key and are stored once
+  idempotency_key text,
+  -- content_type:uid:locale, events of one entry are processed in order
+  entry_key text,
+  -- pending, processing, succeeded, dead_letter, discarded
+  status text not null default 'pending',
+  attempts int not null default 0,
+  last_error text,
+  next_attempt_at timestamptz default now(),
+  locked_at timestamptz,
+  received_at timestamptz default now(),
+  processed_at timestamptz
+);
+
+-- History of content sync runs, for GET /api/sync/runs
+create table if not exists sync_runs (
+  id uuid primary key default gen_random_uuid(),
+  -- schedule, api, cli, admin or webhook
+  trigger text not null,
+  -- full, incremental or selective
+  mode text,
+  -- { "locales": [...], "contentTypes": [...] }
+  scope jsonb default '{}',
+  -- running, success, no_content, no_embeddings, cancelled, error
+  status text not null default 'running',
+  started_at timestamptz default now(),
+  finished_at timestamptz,
+  duration_ms int,
+  -- Entries fetched from Contentstack and removed from the index
+  fetched int default 0,
+  removed int default 0,
+  -- Chunks embedded anew, and chunks whose stored vector was reused
+  embedded int default 0,
+  skipped int default 0,
+  -- Chunk rows written, and entries or rows that could not be indexed
+  upserted int default 0,
+  failed int default 0,
+  error_category text,
+  error text,
+  -- The counts above per content type: { "blog_post": { "fetched": 3, ... } }
+  content_types jsonb default '{}'
+);
+
+-- Progress of running syncs, saved every few seconds: { "phase": "indexing",
+-- "contentType", "locale", "batch", "entriesProcessed", "entriesTotal", "eta" }
+alter table sync_runs add column if not exists progress jsonb default '{}';
+-- Set by POST /api/sync/runs/:id/cancel for a sync running on another instance
+alter table sync_runs add column if not exists cancel_requested_at timestamptz;
+-- Sync lock lease holder of the run. A running row whose holder no longer
+-- holds the lock was abandoned by a crashed instance.
+alter table sync_runs add column if not exists holder text;
+
+-- Leases of jobs that run on one instance at a time (the content sync).
+-- The holder renews its lease while running; when it crashes the lease
+-- expires and another instance can take the lock.
+create table if not exists job_locks (
+  name text primary key,
+  -- hostname:pid:uuid of the process holding the lock
+  holder text not null,
+  acquired_at timestamptz default now(),
+  expires_at timestamptz not null
 );
 
 create table if not exists query_logs (
@@ -38,12 +161,25 @@ create table if not exists search_analytics (
 -- ========================================
 
 -- 1. Enhanced match_content function with filtering support
+-- Chunk hits are collapsed back to their parent entry; the best-matching
+-- passage is returned as the snippet. Results are ordered by similarity then
+-- id; after_similarity/after_id (the last row of the previous page) continue
+-- from that position.
+drop function if exists match_content(vector, float, int, text[], text[]);
+drop function if exists match_content(vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz);
+drop function if exists match_content(vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz, float, text);
 create or replace function match_content (
   query_embedding vector(1536),
   match_threshold float,
   match_count int,
   filter_content_types text[] default null,
-  filter_locales text[] default null
+  filter_locales text[] default null,
+  filter_tags text[] default null,
+  filter_categories text[] default null,
+  published_after timestamptz default null,
+  published_before timestamptz default null,
+  after_similarity float default null,
+  after_id text default null
 ) returns table (
   id text,
   title text,
@@ -51,25 +187,714 @@ create or replace function match_content (
   url text,
   content_type text,
   locale text,
-  similarity float
+  updated_at timestamptz,
+  similarity float,
+  chunk_index int,
+  tags text[],
+  category text,
+  published_at timestamptz
 ) language sql stable as $$
+  with candidates as (
+    select
+      coalesce(content_entries.parent_id, content_entries.id) as entry_id,
+      content_entries.title,
+      coalesce(content_entries.passage, content_entries.snippet) as snippet,
+      content_entries.url,
+      content_entries.content_type,
+      content_entries.locale,
+      content_entries.updated_at,
+      1 - (content_entries.embedding <=> query_embedding) as similarity,
+      content_entries.chunk_index,
+      content_entries.tags,
+      content_entries.category,
+      content_entries.published_at
+    from content_entries
+    where 
+      (filter_content_types is null or cardinality(filter_content_types) = 0 or content_entries.content_type = any(filter_content_types))
+      and (filter_locales is null or cardinality(filter_locales) = 0 or content_entries.locale = any(filter_locales))
+      and (filter_tags is null or cardinality(filter_tags) = 0 or content_entries.tags && filter_tags)
+      and (filter_categories is null or cardinality(filter_categories) = 0 or content_entries.category = any(filter_categories))
+      and (published_after is null or content_entries.published_at >= published_after)
+      and (published_before is null or content_entries.published_at <= published_before)
+  ),
+  -- Collapse to the best chunk of each entry before paging, so entries with
+  -- many matching chunks never crowd others out of a page
+  best as (
+    select distinct on (candidates.entry_id) *
+    from candidates
+    where candidates.similarity > match_threshold
+    order by candidates.entry_id, candidates.similarity desc
+  )
   select
-    content_entries.id,
-    content_entries.title,
-    content_entries.snippet,
-    content_entries.url,
-    content_entries.content_type,
-    content_entries.locale,
-    1 - (content_entries.embedding <=> query_embedding) as similarity
-  from content_entries
-  where 
-    1 - (content_entries.embedding <=> query_embedding) > match_threshold
-    and (filter_content_types is null or content_entries.content_type = any(filter_content_types))
-    and (filter_locales is null or content_entries.locale = any(filter_locales))
-  order by content_entries.embedding <=> query_embedding
+    best.entry_id as id,
+    best.title,
+    best.snippet,
+    best.url,
+    best.content_type,
+    best.locale,
+    best.updated_at,
+    best.similarity,
+    best.chunk_index,
+    best.tags,
+    best.category,
+    best.published_at
+  from best
+  where
+    after_similarity is null
+    or best.similarity < after_similarity
+    or (best.similarity = after_similarity and best.entry_id > after_id)
+  order by best.similarity desc, best.entry_id
   limit match_count;
 $$;
 
+-- 1b. Hybrid keyword + vector search
+-- Full-text document over title (weight A), snippet (weight B) and the
+-- chunk passage (weight C). The
+-- 'simple' configuration avoids stemming so product codes, error strings and
+-- proper nouns match exactly.
+alter table content_entries add column if not exists search_tsv tsvector
+  generated always as (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(snippet, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(passage, '')), 'C')
+  ) stored;
+
+-- Fuses the vector candidates and the full-text candidates using either
+-- reciprocal rank fusion ('rrf') or a weighted sum of the normalized scores
+-- ('weighted'). Both component scores are returned for every row. Scores are
+-- computed per chunk and collapsed to the best chunk of each parent entry.
+-- Fused scores depend on the whole candidate set, so pages are addressed by
+-- result_offset.
+drop function if exists hybrid_match_content(text, vector, float, int, text[], text[], text, float, int, int);
+drop function if exists hybrid_match_content(text, vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz, text, float, int, int);
+drop function if exists hybrid_match_content(text, vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz, text, float, int, int, int);
+create or replace function hybrid_match_content (
+  query_text text,
+  query_embedding vector(1536),
+  match_threshold float,
+  match_count int,
+  filter_content_types text[] default null,
+  filter_locales text[] default null,
+  filter_tags text[] default null,
+  filter_categories text[] default null,
+  published_after timestamptz default null,
+  published_before timestamptz default null,
+  fusion_method text default 'rrf',
+  semantic_weight float default 0.5,
+  rrf_k int default 60,
+  candidate_count int default 50,
+  result_offset int default 0
+) returns table (
+  id text,
+  title text,
+  snippet text,
+  url text,
+  content_type text,
+  locale text,
+  updated_at timestamptz,
+  similarity float,
+  keyword_score float,
+  semantic_rank int,
+  keyword_rank int,
+  score float,
+  chunk_index int,
+  tags text[],
+  category text,
+  published_at timestamptz
+) language sql stable as $$
+  with semantic as (
+    select
+      content_entries.id,
+      row_number() over (order by content_entries.embedding <=> query_embedding) as rank
+    from content_entries
+    where
+      1 - (content_entries.embedding <=> query_embedding) > match_threshold
+      and (filter_content_types is null or cardinality(filter_content_types) = 0 or content_entries.content_type = any(filter_content_types))
+      and (filter_locales is null or cardinality(filter_locales) = 0 or content_entries.locale = any(filter_locales))
+      and (filter_tags is null or cardinality(filter_tags) = 0 or content_entries.tags && filter_tags)
+      and (filter_categories is null or cardinality(filter_categories) = 0 or content_entries.category = any(filter_categories))
+      and (published_after is null or content_entries.published_at >= published_after)
+      and (published_before is null or content_entries.published_at <= published_before)
+    order by content_entries.embedding <=> query_embedding
+    limit candidate_count
+  ),
+  keyword as (
+    select
+      content_entries.id,
+      ts_rank_cd(content_entries.search_tsv, websearch_to_tsquery('simple', query_text), 32) as keyword_score,
+      row_number() over (
+        order by ts_rank_cd(content_entries.search_tsv, websearch_to_tsquery('simple', query_text), 32) desc
+      ) as rank
+    from content_entries
+    where
+      content_entries.search_tsv @@ websearch_to_tsquery('simple', query_text)
+      and (filter_content_types is null or cardinality(filter_content_types) = 0 or content_entries.content_type = any(filter_content_types))
+      and (filter_locales is null or cardinality(filter_locales) = 0 or content_entries.locale = any(filter_locales))
+      and (filter_tags is null or cardinality(filter_tags) = 0 or content_entries.tags && filter_tags)
+      and (filter_categories is null or cardinality(filter_categories) = 0 or content_entries.category = any(filter_categories))
+      and (published_after is null or content_entries.published_at >= published_after)
+      and (published_before is null or content_entries.published_at <= published_before)
+    order by keyword_score desc
+    limit candidate_count
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      semantic.rank as semantic_rank,
+      keyword.rank as keyword_rank,
+      coalesce(keyword.keyword_score, 0) as keyword_score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  ),
+  scored as (
+    select
+      coalesce(content_entries.parent_id, content_entries.id) as entry_id,
+      content_entries.title,
+      coalesce(content_entries.passage, content_entries.snippet) as snippet,
+      content_entries.url,
+      content_entries.content_type,
+      content_entries.locale,
+      content_entries.updated_at,
+      1 - (content_entries.embedding <=> query_embedding) as similarity,
+      fused.keyword_score,
+      fused.semantic_rank::int as semantic_rank,
+      fused.keyword_rank::int as keyword_rank,
+      case
+        when fusion_method = 'weighted' then
+          semantic_weight * greatest(1 - (content_entries.embedding <=> query_embedding), 0)
+          + (1 - semantic_weight) * fused.keyword_score
+        else
+          semantic_weight * coalesce(1.0 / (rrf_k + fused.semantic_rank), 0)
+          + (1 - semantic_weight) * coalesce(1.0 / (rrf_k + fused.keyword_rank), 0)
+      end as score,
+      content_entries.chunk_index,
+      content_entries.tags,
+      content_entries.category,
+      content_entries.published_at
+    from fused
+    join content_entries on content_entries.id = fused.id
+  ),
+  best as (
+    select distinct on (scored.entry_id) *
+    from scored
+    order by scored.entry_id, scored.score desc
+  )
+  select
+    best.entry_id as id,
+    best.title,
+    best.snippet,
+    best.url,
+    best.content_type,
+    best.locale,
+    best.updated_at,
+    best.similarity,
+    best.keyword_score,
+    best.semantic_rank,
+    best.keyword_rank,
+    best.score,
+    best.chunk_index,
+    best.tags,
+    best.category,
+    best.published_at
+  from best
+  order by best.score desc, best.entry_id
+  limit match_count
+  offset result_offset;
+$$;
+
+-- Removes chunk rows left over from a previous, longer version of an entry.
+-- entry_chunks is a JSON array of { "parent_id": text, "chunk_ids": text[] }.
+-- target_table is the live index or the migration shadow index.
+drop function if exists prune_entry_chunks(jsonb);
+create or replace function prune_entry_chunks (
+  entry_chunks jsonb,
+  target_table text default 'content_entries'
+) returns int language plpgsql as $$
+declare
+  deleted_count int;
+begin
+  if target_table not in ('content_entries', 'content_entries_shadow') then
+    raise exception 'Invalid target table: %', target_table;
+  end if;
+
+  execute format(
+    'delete from %1$I
+     using jsonb_to_recordset($1) as kept(parent_id text, chunk_ids text[])
+     where
+       (%1$I.parent_id = kept.parent_id or %1$I.id = kept.parent_id)
+       and not (%1$I.id = any(kept.chunk_ids))',
+    target_table
+  ) using entry_chunks;
+
+  get diagnostics deleted_count = row_count;
+  return deleted_count;
+end;
+$$;
+
+create or replace function bump_index_version ()
+returns bigint language sql as $$
+  update index_version
+  set version = version + 1, updated_at = now()
+  where id = 1
+  returning version;
+$$;
+
+-- 1c. Embedding model migrations
+-- A shadow index is built for the target model next to the live index. Its
+-- vector column has no fixed size so any model fits. Search can query it
+-- for A/B comparison, and cutover swaps the two tables in one transaction.
+create table if not exists content_entries_shadow (
+  id text primary key,
+  title text,
+  snippet text,
+  url text,
+  content_type text,
+  locale text,
+  updated_at timestamptz,
+  embedding vector,
+  parent_id text,
+  chunk_index int default 0,
+  passage text,
+  content_hash text,
+  embedding_model text,
+  tags text[] default '{}',
+  category text,
+  published_at timestamptz,
+  search_tsv tsvector generated always as (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(snippet, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(passage, '')), 'C')
+  ) stored
+);
+
+alter table content_entries_shadow add column if not exists tags text[] default '{}';
+alter table content_entries_shadow add column if not exists category text;
+alter table content_entries_shadow add column if not exists published_at timestamptz;
+
+create table if not exists embedding_migrations (
+  id uuid primary key default gen_random_uuid(),
+  source_model text,
+  target_provider text not null,
+  target_model text not null,
+  target_dimensions int,
+  -- building, ready, cut_over, cancelled, failed
+  status text not null default 'building',
+  total_entries int default 0,
+  processed_entries int default 0,
+  failed_entries int default 0,
+  error text,
+  started_at timestamptz default now(),
+  completed_at timestamptz,
+  cut_over_at timestamptz
+);
+
+-- Same as match_content, against the shadow index
+drop function if exists match_content_shadow(vector, float, int, text[], text[]);
+drop function if exists match_content_shadow(vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz);
+drop function if exists match_content_shadow(vector, float, int, text[], text[], text[], text[], timestamptz, timestamptz, float, text);
+create or replace function match_content_shadow (
+  query_embedding vector,
+  match_threshold float,
+  match_count int,
+  filter_content_types text[] default null,
+  filter_locales text[] default null,
+  filter_tags text[] default null,
+  filter_categories text[] default null,
+  published_after timestamptz default null,
+  published_before timestamptz default null,
+  after_similarity float default null,
+  after_id text default null
+) returns table (
+  id text,
+  title text,
+  snippet text,
+  url text,
+  content_type text,
+  locale text,
+  updated_at timestamptz,
+  similarity float,
+  chunk_index int,
+  tags text[],
+  category text,
+  published_at timestamptz
+) language sql stable as $$
+  with candidates as (
+    select
+      coalesce(content_entries_shadow.parent_id, content_entries_shadow.id) as entry_id,
+      content_entries_shadow.title,
+      coalesce(content_entries_shadow.passage, content_entries_shadow.snippet) as snippet,
+      content_entries_shadow.url,
+      content_entries_shadow.content_type,
+      content_entries_shadow.locale,
+      content_entries_shadow.updated_at,
+      1 - (content_entries_shadow.embedding <=> query_embedding) as similarity,
+      content_entries_shadow.chunk_index,
+      content_entries_shadow.tags,
+      content_entries_shadow.category,
+      content_entries_shadow.published_at
+    from content_entries_shadow
+    where
+      (filter_content_types is null or cardinality(filter_content_types) = 0 or content_entries_shadow.content_type = any(filter_content_types))
+      and (filter_locales is null or cardinality(filter_locales) = 0 or content_entries_shadow.locale = any(filter_locales))
+      and (filter_tags is null or cardinality(filter_tags) = 0 or content_entries_shadow.tags && filter_tags)
+      and (filter_categories is null or cardinality(filter_categories) = 0 or content_entries_shadow.category = any(filter_categories))
+      and (published_after is null or content_entries_shadow.published_at >= published_after)
+      and (published_before is null or content_entries_shadow.published_at <= published_before)
+  ),
+  -- Collapse to the best chunk of each entry before paging, so entries with
+  -- many matching chunks never crowd others out of a page
+  best as (
+    select distinct on (candidates.entry_id) *
+    from candidates
+    where candidates.similarity > match_threshold
+    order by candidates.entry_id, candidates.similarity desc
+  )
+  select
+    best.entry_id as id,
+    best.title,
+    best.snippet,
+    best.url,
+    best.content_type,
+    best.locale,
+    best.updated_at,
+    best.similarity,
+    best.chunk_index,
+    best.tags,
+    best.category,
+    best.published_at
+  from best
+  where
+    after_similarity is null
+    or best.similarity < after_similarity
+    or (best.similarity = after_similarity and best.entry_id > after_id)
+  order by best.similarity desc, best.entry_id
+  limit match_count;
+$$;
+
+-- Secondary indexes of the live index, for the filters, facets and hybrid
+-- search. The vector index depends on the model's size and is created
+-- separately. Tables swapped by a cutover keep their index names, so names
+-- still held by content_entries_previous, or left on content_entries by its
+-- shadow table days, are released first.
+create or replace function create_content_entries_indexes ()
+returns void language plpgsql as $$
+declare
+  index_name text;
+begin
+  for index_name in
+    select indexname from pg_indexes
+    where schemaname = current_schema()
+      and tablename = 'content_entries_previous'
+      and indexname like 'content\_entries\_%'
+      and indexname not like 'content\_entries\_previous\_%'
+  loop
+    execute format(
+      'alter index %I rename to %I',
+      index_name,
+      regexp_replace(index_name, '^content_entries_', 'content_entries_previous_')
+    );
+  end loop;
+
+  for index_name in
+    select indexname from pg_indexes
+    where schemaname = current_schema()
+      and tablename = 'content_entries'
+      and indexname like 'content\_entries\_shadow\_%'
+      and indexname not like '%\_pkey%'
+  loop
+    execute format('drop index %I', index_name);
+  end loop;
+
+  create index if not exists content_entries_content_type_idx on content_entries (content_type);
+  create index if not exists content_entries_locale_idx on content_entries (locale);
+  create index if not exists content_entries_updated_at_idx on content_entries (updated_at);
+  create index if not exists content_entries_parent_id_idx on content_entries (parent_id);
+  create index if not exists content_entries_tags_idx on content_entries using gin (tags);
+  create index if not exists content_entries_category_idx on content_entries (category);
+  create index if not exists content_entries_published_at_idx on content_entries (published_at);
+  create index if not exists content_entries_search_tsv_idx on content_entries using gin (search_tsv);
+end;
+$$;
+
+-- Atomically promote a completed shadow index to the live index. The old
+-- live table is kept as content_entries_previous for rollback and a fresh
+-- shadow table is created for the next migration. It runs as the owner of
+-- the tables it swaps; only the service role may call it (see the grants).
+create or replace function cutover_embedding_migration (
+  migration_id uuid
+) returns void language plpgsql
+security definer set search_path = public as $$
+declare
+  migration embedding_migrations%rowtype;
+  primary_key text;
+begin
+  select * into migration
+  from embedding_migrations
+  where embedding_migrations.id = migration_id
+  for update;
+
+  if not found or migration.status <> 'ready' then
+    raise exception 'Embedding migration % is not ready for cutover', migration_id;
+  end if;
+
+  if migration.target_dimensions is null then
+    raise exception 'Embedding migration % has no target dimensions', migration_id;
+  end if;
+
+  lock table content_entries, content_entries_shadow in access exclusive mode;
+
+  drop table if exists content_entries_previous;
+  alter table content_entries rename to content_entries_previous;
+  alter table content_entries_shadow rename to content_entries;
+
+  -- Move the live index names to the promoted table
+  perform create_content_entries_indexes();
+  select conname into primary_key
+  from pg_constraint
+  where conrelid = 'content_entries'::regclass and contype = 'p';
+  execute format(
+    'alter table content_entries rename constraint %I to content_entries_pkey',
+    primary_key
+  );
+
+  -- Fix the vector size so the similarity index can be built
+  execute format(
+    'alter table content_entries alter column embedding type vector(%s)',
+    migration.target_dimensions
+  );
+  create index content_entries_embedding_idx on content_entries
+  using ivfflat (embedding vector_cosine_ops) with (lists = 100);
+
+  create table content_entries_shadow (
+    like content_entries including defaults including generated
+  );
+  alter table content_entries_shadow add primary key (id);
+  alter table content_entries_shadow alter column embedding type vector;
+  create index content_entries_shadow_parent_id_idx on content_entries_shadow (parent_id);
+  create index content_entries_shadow_search_tsv_idx on content_entries_shadow using gin (search_tsv);
+  alter table content_entries_shadow disable row level security;
+  grant all on table content_entries_shadow to anon, authenticated, service_role;
+
+  update embedding_migrations
+  set status = 'cut_over', cut_over_at = now()
+  where embedding_migrations.id = migration_id;
+
+  perform bump_index_version();
+end;
+$$;
+
+-- 1d. Filter options with the number of entries for each value
+-- Counts parent entries, not chunk rows. facet is 'content_type', 'locale',
+-- 'category' or 'tag'.
+create or replace function get_filter_counts ()
+returns table (
+  facet text,
+  value text,
+  entry_count bigint
+) language sql stable as $$
+  with entries as (
+    select distinct on (coalesce(parent_id, id))
+      content_type,
+      locale,
+      category,
+      tags
+    from content_entries
+    order by coalesce(parent_id, id), chunk_index
+  )
+  select 'content_type', content_type, count(*) from entries where content_type is not null group by content_type
+  union all
+  select 'locale', locale, count(*) from entries where locale is not null group by locale
+  union all
+  select 'category', category, count(*) from entries where category is not null group by category
+  union all
+  select 'tag', tag, count(*) from entries, unnest(tags) as tag group by tag
+  order by 1, 3 desc, 2;
+$$;
+
+-- Facet counts over every entry matching a search above the threshold (or
+-- matching the keywords when query_text is given, as in hybrid mode).
+-- published_date buckets are truncated to date_interval: day, week, month
+-- or year.
+create or replace function match_content_facets (
+  query_embedding vector(1536),
+  match_threshold float,
+  filter_content_types text[] default null,
+  filter_locales text[] default null,
+  filter_tags text[] default null,
+  filter_categories text[] default null,
+  published_after timestamptz default null,
+  published_before timestamptz default null,
+  query_text text default null,
+  date_interval text default 'month'
+) returns table (
+  facet text,
+  value text,
+  entry_count bigint
+) language sql stable as $$
+  with matched as (
+    select distinct on (coalesce(content_entries.parent_id, content_entries.id))
+      content_entries.content_type,
+      content_entries.locale,
+      content_entries.category,
+      content_entries.tags,
+      content_entries.published_at
+    from content_entries
+    where
+      (
+        1 - (content_entries.embedding <=> query_embedding) > match_threshold
+        or (query_text is not null and content_entries.search_tsv @@ websearch_to_tsquery('simple', query_text))
+      )
+      and (filter_content_types is null or cardinality(filter_content_types) = 0 or content_entries.content_type = any(filter_content_types))
+      and (filter_locales is null or cardinality(filter_locales) = 0 or content_entries.locale = any(filter_locales))
+      and (filter_tags is null or cardinality(filter_tags) = 0 or content_entries.tags && filter_tags)
+      and (filter_categories is null or cardinality(filter_categories) = 0 or content_entries.category = any(filter_categories))
+      and (published_after is null or content_entries.published_at >= published_after)
+      and (published_before is null or content_entries.published_at <= published_before)
+    order by coalesce(content_entries.parent_id, content_entries.id), content_entries.chunk_index
+  )
+  select 'content_type', content_type, count(*) from matched where content_type is not null group by content_type
+  union all
+  select 'locale', locale, count(*) from matched where locale is not null group by locale
+  union all
+  select 'category', category, count(*) from matched where category is not null group by category
+  union all
+  select 'tag', tag, count(*) from matched, unnest(tags) as tag group by tag
+  union all
+  select 'published_date', to_char(date_trunc(date_interval, published_at), 'YYYY-MM-DD'), count(*)
+  from matched where published_at is not null group by 2
+  order by 1, 3 desc, 2;
+$$;
+
+-- Range of published dates, for date filter bounds
+create or replace function get_published_range ()
+returns table (
+  earliest timestamptz,
+  latest timestamptz
+) language sql stable as $$
+  select min(published_at), max(published_at) from content_entries;
+$$;
+
+-- 1e. Webhook queue
+-- Claims due events for a worker. Workers renew locked_at while processing,
+-- so events left processing longer than stale_after_seconds (a worker died)
+-- are claimed again, and an event waits
+-- while an older event for the same entry is still queued.
+create or replace function claim_webhook_events (
+  batch_size int default 10,
+  stale_after_seconds int default 600
+)
+returns setof webhook_events language sql as $$
+  update webhook_events
+  set status = 'processing', locked_at = now(), attempts = attempts + 1
+  where id in (
+    select candidate.id
+    from webhook_events candidate
+    where (
+      (candidate.status = 'pending' and candidate.next_attempt_at <= now())
+      or (
+        candidate.status = 'processing'
+        and candidate.locked_at < now() - make_interval(secs => stale_after_seconds)
+      )
+    )
+    and not exists (
+      select 1
+      from webhook_events older
+      where older.entry_key = candidate.entry_key
+        and older.received_at < candidate.received_at
+        and older.status in ('pending', 'processing')
+    )
+    order by candidate.received_at
+    limit batch_size
+    for update skip locked
+  )
+  returning *;
+$$;
+
+-- 1f. Document IDs
+-- Rewrites rows to the content_type:uid:locale document IDs, for
+-- scripts/migrate-document-ids.js. renames is a JSON array of
+-- { "id": text, "new_id": text, "parent_id": text }. A row whose new ID is
+-- already taken (written by a sync since the upgrade) is deleted instead.
+create or replace function rewrite_content_entry_ids (
+  renames jsonb,
+  target_table text default 'content_entries'
+) returns int language plpgsql as $$
+declare
+  renamed_count int;
+begin
+  if target_table not in ('content_entries', 'content_entries_shadow') then
+    raise exception 'Invalid target table: %', target_table;
+  end if;
+
+  execute format(
+    'delete from %1$I
+     using jsonb_to_recordset($1) as renamed(id text, new_id text, parent_id text)
+     where %1$I.id = renamed.id
+       and exists (select 1 from %1$I existing where existing.id = renamed.new_id)',
+    target_table
+  ) using renames;
+
+  execute format(
+    'update %1$I
+     set id = renamed.new_id, parent_id = renamed.parent_id
+     from jsonb_to_recordset($1) as renamed(id text, new_id text, parent_id text)
+     where %1$I.id = renamed.id',
+    target_table
+  ) using renames;
+
+  get diagnostics renamed_count = row_count;
+  return renamed_count;
+end;
+$$;
+
+-- 1g. Job locks
+-- Takes a lock when it is free or its lease has expired. Returns false while
+-- another holder has a live lease.
+create or replace function acquire_job_lock (
+  lock_name text,
+  lock_holder text,
+  lease_seconds int
+) returns boolean language plpgsql as $$
+begin
+  insert into job_locks (name, holder, acquired_at, expires_at)
+  values (lock_name, lock_holder, now(), now() + make_interval(secs => lease_seconds))
+  on conflict (name) do update
+  set holder = excluded.holder,
+      acquired_at = excluded.acquired_at,
+      expires_at = excluded.expires_at
+  where job_locks.expires_at < now();
+
+  return found;
+end;
+$$;
+
+-- Extends the lease of a held lock. Returns false when the lock has been
+-- taken over after the lease expired.
+create or replace function renew_job_lock (
+  lock_name text,
+  lock_holder text,
+  lease_seconds int
+) returns boolean language plpgsql as $$
+begin
+  update job_locks
+  set expires_at = now() + make_interval(secs => lease_seconds)
+  where name = lock_name and holder = lock_holder;
+
+  return found;
+end;
+$$;
+
+create or replace function release_job_lock (
+  lock_name text,
+  lock_holder text
+) returns boolean language plpgsql as $$
+begin
+  delete from job_locks where name = lock_name and holder = lock_holder;
+
+  return found;
+end;
+$$;
+
 -- 2. Get top queries function for analytics
 create or replace function get_top_queries (
   limit_count int default 10,
@@ -140,10 +965,21 @@ $$;
 create index if not exists content_entries_embedding_idx on content_entries 
 using ivfflat (embedding vector_cosine_ops) with (lists = 100);
 
--- Indexes for filtering
-create index if not exists content_entries_content_type_idx on content_entries (content_type);
-create index if not exists content_entries_locale_idx on content_entries (locale);
-create index if not exists content_entries_updated_at_idx on content_entries (updated_at);
+-- Indexes for filtering, facets and hybrid full-text search (also restores
+-- them after a cutover made before they were rebuilt by it)
+select create_content_entries_indexes();
+
+-- Indexes for the migration shadow index (no vector index: its size is not fixed)
+create index if not exists content_entries_shadow_parent_id_idx on content_entries_shadow (parent_id);
+create index if not exists content_entries_shadow_search_tsv_idx on content_entries_shadow using gin (search_tsv);
+
+-- Indexes for the webhook queue
+create unique index if not exists webhook_events_idempotency_key_idx on webhook_events (idempotency_key);
+create index if not exists webhook_events_status_idx on webhook_events (status, next_attempt_at);
+create index if not exists webhook_events_entry_key_idx on webhook_events (entry_key, received_at);
+
+-- Index for the sync run history
+create index if not exists sync_runs_started_at_idx on sync_runs (started_at desc);
 
 -- Indexes for query logs and analytics
 create index if not exists query_logs_timestamp_idx on query_logs (timestamp);
@@ -161,6 +997,14 @@ create index if not exists search_analytics_timestamp_idx on search_analytics (t
 alter table content_entries disable row level security;
 alter table query_logs disable row level security;
 alter table search_analytics disable row level security;
+alter table sync_state disable row level security;
+alter table index_version disable row level security;
+alter table content_entries_shadow disable row level security;
+alter table embedding_migrations disable row level security;
+alter table content_type_configs disable row level security;
+alter table webhook_events disable row level security;
+alter table sync_runs disable row level security;
+alter table job_locks disable row level security;
 
 -- Drop any existing policies
 drop policy if exists "Allow public read access on content_entries" on content_entries;
@@ -172,4 +1016,10 @@ drop policy if exists "Allow public access on search_analytics" on search_analyt
 
 -- Grant necessary permissions to public
 grant all on all tables in schema public to anon, authenticated;
-grant execute on all functions in schema public to anon, authenticated;
\ No newline at end of file
+grant execute on all functions in schema public to anon, authenticated;
+
+-- Cutover replaces the live index, so it is reserved for the service role
+-- (SUPABASE_SERVICE_ROLE_KEY), not the anon key
+revoke execute on function cutover_embedding_migration(uuid) from public, anon, authenticated;
+revoke execute on function create_content_entries_indexes() from public, anon, authenticated;
+grant execute on function cutover_embedding_migration(uuid) to service_role;
\ No newline at end of file
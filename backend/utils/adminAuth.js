@@ -0,0 +1,46 @@
+const config = require("./config");
+const logger = require("./logger");
+const { safeEqual } = require("./safeEqual");
+
+if (!config.admin.token) {
+  logger.warn(
+    "⚠️ ADMIN_API_TOKEN not set, the admin API (/api/admin) is disabled"
+  );
+}
+
+/**
+ * Express middleware guarding the admin API. Requests must send the
+ * configured token as "Authorization: Bearer <ADMIN_API_TOKEN>".
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(503).json({
+      error: "Admin API disabled",
+      message: "Set ADMIN_API_TOKEN to enable the admin API",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+  if (!token || !safeEqual(token, config.admin.token)) {
+    logger.warn("🚫 Admin request rejected", {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: token ? "Invalid admin token" : "Missing admin token",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminToken,
+};
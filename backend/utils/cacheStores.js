@@ -0,0 +1,145 @@
+const logger = require("./logger");
+
+/**
+ * In-process LRU store. Map iteration order is insertion order, so the first
+ * key is always the least recently used one.
+ */
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Redis (or any Redis-compatible server) store shared between instances.
+ * Needs the optional `redis` package; expiry is handled by the server.
+ */
+class RedisCacheStore {
+  constructor(url, prefix) {
+    const { createClient } = require("redis");
+
+    this.name = "redis";
+    this.prefix = prefix;
+    this.client = createClient({ url });
+    this.client.on("error", (error) => {
+      logger.warn(`Redis cache error (${prefix}*):`, error.message);
+    });
+    this.connectPromise = null;
+  }
+
+  async getClient() {
+    if (!this.connectPromise) {
+      this.connectPromise = this.client.connect().catch((error) => {
+        this.connectPromise = null;
+        throw error;
+      });
+    }
+
+    await this.connectPromise;
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    const value = await client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this.getClient();
+    await client.set(this.prefix + key, JSON.stringify(value), {
+      EX: ttlSeconds,
+    });
+  }
+
+  async clear() {
+    const client = await this.getClient();
+    for await (const batch of client.scanIterator({
+      MATCH: `${this.prefix}*`,
+      COUNT: 100,
+    })) {
+      // Newer clients yield arrays of keys, older ones single keys
+      const keys = Array.isArray(batch) ? batch : [batch];
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    }
+  }
+
+  async size() {
+    return null;
+  }
+}
+
+/**
+ * Normalize query text so trivial variations share a cache entry
+ * @param {string} text - Query text
+ * @returns {string} - Normalized text
+ */
+function normalizeQuery(text) {
+  return text.normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Create the store selected by a cache config ({ backend, maxEntries,
+ * redisUrl }). Falls back to memory when Redis is unavailable.
+ * @param {Object} cacheConfig - Cache configuration
+ * @param {string} prefix - Key prefix separating caches sharing a Redis server
+ * @returns {MemoryCacheStore|RedisCacheStore} - Cache store
+ */
+function createCacheStore(cacheConfig, prefix) {
+  if (cacheConfig.backend === "redis") {
+    try {
+      return new RedisCacheStore(cacheConfig.redisUrl, prefix);
+    } catch (error) {
+      logger.warn(
+        `Redis cache unavailable for ${prefix}* (${error.message}), using in-memory cache`
+      );
+    }
+  }
+
+  return new MemoryCacheStore(cacheConfig.maxEntries);
+}
+
+module.exports = {
+  createCacheStore,
+  normalizeQuery,
+  MemoryCacheStore,
+  RedisCacheStore,
+};
@@ -0,0 +1,189 @@
+/**
+ * Passage chunking for long content entries.
+ *
+ * Text is split on blank lines into blocks. Markdown-style heading lines
+ * (`## Heading`) start a new section, so a chunk never straddles two sections
+ * unless a section is shorter than the overlap. Blocks longer than a chunk are
+ * split on sentence boundaries, and as a last resort on word boundaries.
+ */
+
+// Rough estimation: 1 token ≈ 4 characters (same as EmbeddingsService)
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULT_OPTIONS = {
+  maxTokens: 300,
+  overlapTokens: 50,
+};
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+)$/;
+
+/**
+ * Split text into overlapping passages
+ * @param {string} text - Text to split (blocks separated by blank lines)
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxTokens - Maximum passage size in tokens (default: 300)
+ * @param {number} options.overlapTokens - Tokens repeated from the previous passage (default: 50)
+ * @returns {Array<{index: number, text: string, heading: string|null}>} - Passages in document order.
+ *   `heading` is the section heading the passage belongs to when the passage itself does not start with it.
+ */
+function chunkText(text, options = {}) {
+  const { maxTokens, overlapTokens } = { ...DEFAULT_OPTIONS, ...options };
+  const maxChars = Math.max(1, maxTokens) * CHARS_PER_TOKEN;
+  const overlapChars =
+    Math.max(0, Math.min(overlapTokens, maxTokens / 2)) * CHARS_PER_TOKEN;
+
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const chunks = [];
+  let parts = [];
+  let length = 0;
+  let hasContent = false;
+  let sectionHeading = null;
+  let chunkHeading = null;
+
+  const flush = (withOverlap) => {
+    if (!hasContent) {
+      return;
+    }
+
+    const chunkValue = parts.join("\n\n").trim();
+    chunks.push({
+      index: chunks.length,
+      text: chunkValue,
+      heading:
+        chunkHeading && !HEADING_PATTERN.test(chunkValue.split("\n")[0])
+          ? chunkHeading
+          : null,
+    });
+
+    const overlap = withOverlap ? takeOverlap(chunkValue, overlapChars) : "";
+    parts = overlap ? [overlap] : [];
+    length = overlap.length;
+    hasContent = false;
+    chunkHeading = sectionHeading;
+  };
+
+  // Leave room for the overlap carried over from the previous passage
+  for (const block of splitIntoBlocks(text, maxChars - overlapChars)) {
+    const headingMatch = block.match(HEADING_PATTERN);
+
+    if (headingMatch) {
+      // A new section starts a fresh passage without overlap
+      flush(false);
+      parts = [];
+      length = 0;
+      sectionHeading = headingMatch[1].trim();
+      chunkHeading = sectionHeading;
+    } else if (hasContent && length + block.length + 2 > maxChars) {
+      flush(true);
+    }
+
+    parts.push(block);
+    length += block.length + 2;
+    hasContent = true;
+  }
+
+  flush(false);
+
+  return chunks;
+}
+
+/**
+ * Split text into blocks no longer than maxChars
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum block length
+ * @returns {string[]} - Non-empty blocks
+ */
+function splitIntoBlocks(text, maxChars) {
+  const blocks = [];
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.length <= maxChars) {
+      blocks.push(trimmed);
+      continue;
+    }
+
+    // Group sentences into blocks that fit
+    let current = "";
+    for (const sentence of splitLongText(trimmed, maxChars)) {
+      if (current && current.length + sentence.length + 1 > maxChars) {
+        blocks.push(current);
+        current = sentence;
+      } else {
+        current = current ? `${current} ${sentence}` : sentence;
+      }
+    }
+    if (current) {
+      blocks.push(current);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a paragraph into sentences, breaking any over-long sentence on words
+ * @param {string} text - Paragraph text
+ * @param {number} maxChars - Maximum piece length
+ * @returns {string[]} - Sentence pieces
+ */
+function splitLongText(text, maxChars) {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+  const pieces = [];
+
+  for (const rawSentence of sentences) {
+    const sentence = rawSentence.trim();
+    if (!sentence) continue;
+
+    if (sentence.length <= maxChars) {
+      pieces.push(sentence);
+      continue;
+    }
+
+    let current = "";
+    for (const word of sentence.split(/\s+/)) {
+      if (current && current.length + word.length + 1 > maxChars) {
+        pieces.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) {
+      pieces.push(current);
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Take the tail of a passage to repeat at the start of the next one
+ * @param {string} text - Passage text
+ * @param {number} overlapChars - Approximate overlap length
+ * @returns {string} - Overlap text starting at a sentence or word boundary
+ */
+function takeOverlap(text, overlapChars) {
+  if (overlapChars <= 0 || text.length <= overlapChars) {
+    return "";
+  }
+
+  const tail = text.slice(-overlapChars);
+  const sentenceStart = tail.search(/[.!?]\s+\S/);
+  if (sentenceStart !== -1 && sentenceStart < tail.length / 2) {
+    return tail.slice(sentenceStart + 1).trim();
+  }
+
+  const wordStart = tail.indexOf(" ");
+  return wordStart === -1 ? tail.trim() : tail.slice(wordStart + 1).trim();
+}
+
+module.exports = {
+  chunkText,
+  DEFAULT_OPTIONS,
+};
@@ -3,6 +3,25 @@ const dotenv = require("dotenv");
 // Load environment variables
 dotenv.config();
 
+// Parse a number, keeping an explicit 0 that `parseFloat(...) || fallback`
+// would replace
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+// Parse "key:number,key:number" lists such as "faq:1.2,blog_post:0.9"
+function parseNumberMap(value) {
+  const map = {};
+  for (const pair of (value || "").split(",")) {
+    const [key, number] = pair.split(":").map((part) => part.trim());
+    if (key && !Number.isNaN(parseFloat(number))) {
+      map[key] = parseFloat(number);
+    }
+  }
+  return map;
+}
+
 const config = {
   // Server configuration
   port: process.env.PORT || 3000,
@@ -12,6 +31,8 @@ const config = {
   supabase: {
     url: process.env.SUPABASE_URL,
     key: process.env.SUPABASE_KEY,
+    // Needed for embedding model cutover; falls back to SUPABASE_KEY
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
   },
 
   // Contentstack configuration
@@ -26,13 +47,46 @@ const config = {
     retryDelay: parseInt(process.env.CONTENTSTACK_RETRY_DELAY) || 1000, // 1 second default
     // Optional host override
     host: process.env.CONTENTSTACK_HOST,
+    // Locales to sync and index, comma-separated
+    locales: (process.env.CONTENTSTACK_LOCALES || "en-us")
+      .split(",")
+      .map((locale) => locale.trim())
+      .filter(Boolean),
   },
 
-  // OpenAI configuration
+  // OpenAI configuration (explanations, and the default embedding provider)
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    model: "text-embedding-3-small", // Changed to match 1536 dimensions
-    maxTokens: 4000, // Reduced for better performance
+  },
+
+  // Embedding provider configuration
+  embeddings: {
+    // "openai", "azure-openai", "openai-compatible" or "local"
+    provider: process.env.EMBEDDING_PROVIDER || "openai",
+    // Defaults per provider (text-embedding-3-small, Xenova/all-MiniLM-L6-v2)
+    model: process.env.EMBEDDING_MODEL,
+    // Defaults to the model's native size; must match the vector column
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || null,
+    maxTokens: parseInt(process.env.EMBEDDING_MAX_TOKENS) || 4000, // Reduced for better performance
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100,
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      deployment: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-02-01",
+    },
+    compatible: {
+      baseUrl: process.env.EMBEDDING_API_BASE_URL,
+      apiKey: process.env.EMBEDDING_API_KEY,
+    },
+    local: {
+      model: process.env.EMBEDDING_LOCAL_MODEL || "Xenova/all-MiniLM-L6-v2",
+      cacheDir: process.env.EMBEDDING_LOCAL_CACHE_DIR,
+      // Set to "false" in air-gapped environments with a pre-filled cache
+      allowRemoteModels: process.env.EMBEDDING_LOCAL_ALLOW_REMOTE !== "false",
+    },
+    // How often each instance checks for a model cutover made elsewhere
+    liveModelRefreshMs: 60000,
   },
 
   // Search configuration
@@ -40,7 +94,170 @@ const config = {
     defaultLimit: 10,
     maxLimit: 100,
     defaultThreshold: 0.5,
-    embeddingDimensions: 1536,
+    // Hybrid keyword + vector search (mode: "hybrid")
+    hybrid: {
+      fusion: process.env.SEARCH_HYBRID_FUSION || "rrf", // "rrf" or "weighted"
+      // 0 is keyword-only, 1 vector-only
+      semanticWeight: parseNumber(
+        process.env.SEARCH_HYBRID_SEMANTIC_WEIGHT,
+        0.5
+      ),
+      rrfK: parseInt(process.env.SEARCH_HYBRID_RRF_K) || 60,
+      candidateCount: parseInt(process.env.SEARCH_HYBRID_CANDIDATES) || 50,
+    },
+    // Query-time score boosts, overridable per request with `boost`. Off
+    // unless enabled here or requested with `boost`.
+    boost: {
+      enabled: process.env.SEARCH_BOOST_ENABLED === "true",
+      // Score multiplier per content type (default 1, or the content type's
+      // searchBoost)
+      contentTypes: parseNumberMap(process.env.SEARCH_BOOST_CONTENT_TYPES),
+      // Newer entries score up to (1 + weight) times higher; the boost
+      // halves every halfLifeDays since updated_at
+      recency: {
+        weight: parseFloat(process.env.SEARCH_BOOST_RECENCY_WEIGHT) || 0,
+        halfLifeDays:
+          parseFloat(process.env.SEARCH_BOOST_RECENCY_HALF_LIFE_DAYS) || 180,
+      },
+      // Query terms found in title, snippet and tags, weighted by the content
+      // type's searchWeight, score up to (1 + weight) times higher
+      fieldMatch: {
+        weight: parseFloat(process.env.SEARCH_BOOST_FIELD_MATCH_WEIGHT) || 0.2,
+      },
+      // Boosted searches rank this many candidates (or more for deep pages)
+      // before paging, so boosts can move results across pages
+      candidateCount: parseInt(process.env.SEARCH_BOOST_CANDIDATES) || 100,
+    },
+    // Optional re-ranking of the top candidates (rerank: true)
+    rerank: {
+      // "llm" (OpenAI chat model) or "cross-encoder" (local)
+      provider: process.env.RERANK_PROVIDER || "llm",
+      // Defaults per provider (gpt-4o-mini, Xenova/ms-marco-MiniLM-L-6-v2)
+      model: process.env.RERANK_MODEL,
+      topN: parseInt(process.env.RERANK_TOP_N) || 20,
+      maxTopN: 50,
+      crossEncoder: {
+        cacheDir: process.env.EMBEDDING_LOCAL_CACHE_DIR,
+        allowRemoteModels: process.env.EMBEDDING_LOCAL_ALLOW_REMOTE !== "false",
+      },
+    },
+  },
+
+  // Cache configuration
+  cache: {
+    // Embeddings of search queries, keyed by model and normalized query
+    queryEmbeddings: {
+      enabled: process.env.QUERY_EMBEDDING_CACHE_ENABLED !== "false",
+      // "memory" (per-process LRU) or "redis" (requires the redis package)
+      backend: process.env.QUERY_EMBEDDING_CACHE_BACKEND || "memory",
+      maxEntries:
+        parseInt(process.env.QUERY_EMBEDDING_CACHE_MAX_ENTRIES) || 1000,
+      ttlSeconds: parseInt(process.env.QUERY_EMBEDDING_CACHE_TTL) || 3600,
+      redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    },
+    // Complete POST /api/search responses, keyed on the request and the
+    // index version
+    searchResults: {
+      enabled: process.env.SEARCH_RESULT_CACHE_ENABLED !== "false",
+      backend: process.env.SEARCH_RESULT_CACHE_BACKEND || "memory",
+      maxEntries: parseInt(process.env.SEARCH_RESULT_CACHE_MAX_ENTRIES) || 500,
+      ttlSeconds: parseInt(process.env.SEARCH_RESULT_CACHE_TTL) || 300,
+      redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    },
+  },
+
+  // Contentstack webhook verification. Every configured check must pass;
+  // without any, webhooks are rejected unless allowUnverified is set.
+  webhooks: {
+    basicAuth: {
+      username: process.env.WEBHOOK_BASIC_AUTH_USERNAME,
+      password: process.env.WEBHOOK_BASIC_AUTH_PASSWORD,
+    },
+    // Custom header set on the webhook in Contentstack
+    secretHeader: {
+      name: (
+        process.env.WEBHOOK_SECRET_HEADER || "x-webhook-secret"
+      ).toLowerCase(),
+      value: process.env.WEBHOOK_SECRET,
+    },
+    // HMAC-SHA256 of the raw body, hex encoded (optionally "sha256=...")
+    signature: {
+      header: (
+        process.env.WEBHOOK_SIGNATURE_HEADER || "x-webhook-signature"
+      ).toLowerCase(),
+      secret: process.env.WEBHOOK_SIGNING_SECRET,
+    },
+    allowUnverified: process.env.WEBHOOK_ALLOW_UNVERIFIED === "true",
+    // Deliveries triggered longer ago are rejected. Contentstack retries
+    // failed deliveries with their original triggered_at for hours, so this
+    // covers its retry window.
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 86400,
+    // Deliveries triggered further in the future are rejected
+    clockSkewSeconds: 300,
+    // Deliveries are queued in webhook_events and applied by a background
+    // worker, retrying failures with exponential backoff
+    queue: {
+      pollIntervalMs:
+        parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS) || 5000,
+      batchSize: 10,
+      // Events failing this many times are dead-lettered
+      maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+      retryBaseDelayMs:
+        parseInt(process.env.WEBHOOK_QUEUE_RETRY_BASE_DELAY_MS) || 30000,
+      retryMaxDelayMs: 3600000,
+      // Events processing longer than this were interrupted and are retried
+      staleAfterSeconds: 600,
+      // Succeeded and discarded events are purged after this many days
+      retentionDays: parseInt(process.env.WEBHOOK_QUEUE_RETENTION_DAYS) || 7,
+    },
+    // Processed deliveries, remembered so duplicates are skipped
+    idempotency: {
+      backend: process.env.WEBHOOK_IDEMPOTENCY_BACKEND || "memory",
+      maxEntries: 10000,
+      ttlSeconds: parseInt(process.env.WEBHOOK_IDEMPOTENCY_TTL) || 86400,
+      redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    },
+  },
+
+  // Bearer token required by the /api/admin routes. Without one they answer
+  // 503, so the admin API is never left open.
+  admin: {
+    token: process.env.ADMIN_API_TOKEN,
+  },
+
+  // Content sync configuration
+  sync: {
+    // Hourly by default (cron syntax)
+    schedule: process.env.SYNC_SCHEDULE || "0 * * * *",
+    // One instance syncs at a time. Its lock is renewed while the sync runs
+    // and expires this many seconds after the holder stops, e.g. crashes.
+    lockLeaseSeconds: parseInt(process.env.SYNC_LOCK_LEASE_SECONDS) || 120,
+  },
+
+  // Indexing configuration
+  indexing: {
+    // Long entries are split into overlapping passages, one embedding each
+    chunkMaxTokens: parseInt(process.env.INDEX_CHUNK_MAX_TOKENS) || 300,
+    chunkOverlapTokens: parseInt(process.env.INDEX_CHUNK_OVERLAP_TOKENS) || 50,
+    // Levels of references resolved by default (a content type's
+    // referenceDepth overrides it, 0 disables resolution)
+    referenceDepth: parseInt(process.env.INDEX_REFERENCE_DEPTH || "1", 10),
+    // Each level multiplies the size of Contentstack responses
+    maxReferenceDepth: 3,
+  },
+
+  // Reconciliation of the index with Contentstack, for deletes and updates
+  // missed while the server was down or a webhook failed
+  reconciliation: {
+    enabled: process.env.RECONCILE_ENABLED !== "false",
+    // Daily at 03:30 by default (cron syntax)
+    schedule: process.env.RECONCILE_SCHEDULE || "30 3 * * *",
+    // Scheduled runs only report differences unless repair is enabled
+    repair: process.env.RECONCILE_REPAIR === "true",
+    // A repair removing a larger share of the index is refused, since it
+    // more likely means Contentstack returned an incomplete list
+    maxRemovalPercent:
+      parseInt(process.env.RECONCILE_MAX_REMOVAL_PERCENT) || 20,
   },
 
   // Analytics configuration
@@ -51,13 +268,35 @@ const config = {
 };
 
 // Validate required environment variables
+const providerRequiredVars = {
+  openai: ["OPENAI_API_KEY"],
+  "azure-openai": [
+    "AZURE_OPENAI_ENDPOINT",
+    "AZURE_OPENAI_API_KEY",
+    "AZURE_OPENAI_EMBEDDING_DEPLOYMENT",
+  ],
+  "openai-compatible": ["EMBEDDING_API_BASE_URL"],
+  local: [],
+};
+
+if (!providerRequiredVars[config.embeddings.provider]) {
+  console.error(
+    `❌ Configuration Error: EMBEDDING_PROVIDER '${
+      config.embeddings.provider
+    }' is invalid. Valid options: ${Object.keys(providerRequiredVars).join(
+      ", "
+    )}`
+  );
+  process.exit(1);
+}
+
 const requiredVars = [
   "SUPABASE_URL",
   "SUPABASE_KEY",
   "CONTENTSTACK_API_KEY",
   "CONTENTSTACK_DELIVERY_TOKEN",
   "CONTENTSTACK_ENVIRONMENT",
-  "OPENAI_API_KEY",
+  ...providerRequiredVars[config.embeddings.provider],
 ];
 
 const missingVars = requiredVars.filter((varName) => !process.env[varName]);
@@ -100,7 +339,19 @@ if (missingVars.length > 0) {
         break;
       case "OPENAI_API_KEY":
         console.error(
-          `   - ${varName}: Get from OpenAI dashboard > API Keys (https://platform.openai.com/api-keys)`
+          `   - ${varName}: Get from OpenAI dashboard > API Keys (https://platform.openai.com/api-keys), or set EMBEDDING_PROVIDER=local to run without OpenAI`
+        );
+        break;
+      case "AZURE_OPENAI_ENDPOINT":
+      case "AZURE_OPENAI_API_KEY":
+      case "AZURE_OPENAI_EMBEDDING_DEPLOYMENT":
+        console.error(
+          `   - ${varName}: Get from Azure portal > your Azure OpenAI resource > Keys and Endpoint / Model deployments`
+        );
+        break;
+      case "EMBEDDING_API_BASE_URL":
+        console.error(
+          `   - ${varName}: Base URL of your OpenAI-compatible embeddings server (e.g., http://localhost:8080/v1)`
         );
         break;
       default:
@@ -0,0 +1,347 @@
+/**
+ * Plain text extraction for Contentstack field values.
+ *
+ * Every field type is turned into indexable text: JSON RTE documents, HTML
+ * RTE and markdown strings, modular blocks, groups and global fields (walked
+ * recursively), assets (title, description, alt text), links and references.
+ * Blocks are separated by blank lines and headings are kept as
+ * markdown-style `## Heading` lines, the format the chunker splits on.
+ */
+
+// JSON RTE node types rendered as their own paragraph
+const RICH_TEXT_BLOCK_TYPES = new Set([
+  "p",
+  "blockquote",
+  "code",
+  "ul",
+  "ol",
+  "table",
+  "thead",
+  "tbody",
+  "tr",
+  "hr",
+  "img",
+  "embed",
+  "reference",
+]);
+
+// Keys of groups and blocks that hold metadata rather than content
+const SKIPPED_KEYS = new Set([
+  "uid",
+  "_metadata",
+  "_content_type_uid",
+  "_version",
+  "_in_progress",
+  "ACL",
+  "created_at",
+  "updated_at",
+  "created_by",
+  "updated_by",
+  "publish_details",
+  "locale",
+  "url",
+  "href",
+  "content_type",
+  "file_size",
+  "filename",
+  "parent_uid",
+  "dimension",
+  "is_dir",
+]);
+
+const HTML_TAG_PATTERN = /<\/?[a-z][a-z0-9]*\b[^>]*>/i;
+const MARKDOWN_PATTERN =
+  /^#{1,6}\s|^\s*[-*+]\s|^\s*\d+\.\s|^>\s|```|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*/m;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const URL_PATTERN = /^(https?:)?\/\/\S+$/;
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Convert any field value to plain text
+ * @param {*} value - Field value as returned by the Delivery API
+ * @returns {string} - Text with blocks separated by blank lines, or "" when the value holds no text
+ */
+function extractText(value) {
+  return tidy(extractValue(value));
+}
+
+function extractValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (typeof value === "string") {
+    return extractString(value);
+  }
+
+  if (Array.isArray(value)) {
+    const parts = value.map(extractValue).filter((part) => part.trim());
+    // Lists of short values (tags, features) read best on one line
+    const inline = value.every(
+      (item) => typeof item === "string" && !item.includes("\n")
+    );
+    return parts.join(inline ? ", " : "\n\n");
+  }
+
+  if (typeof value !== "object") {
+    // Numbers and booleans carry no searchable text
+    return "";
+  }
+
+  if (isJsonRte(value)) {
+    return extractRichText(value);
+  }
+
+  // Asset: title, description and alt text, never the file URL
+  if (typeof value.filename === "string" && typeof value.url === "string") {
+    return unique([value.title, value.description, value.alt])
+      .filter((text) => typeof text === "string" && text.trim())
+      .join("\n\n");
+  }
+
+  // Link field
+  if (typeof value.href === "string" && !value._content_type_uid) {
+    return value.title || "";
+  }
+
+  // Reference: only the referenced entry's title
+  if (value._content_type_uid) {
+    return value.title || "";
+  }
+
+  // Group, global field or modular block (`{ block_uid: { ...fields } }`)
+  return Object.entries(value)
+    .filter(([key]) => !SKIPPED_KEYS.has(key) && !key.startsWith("_"))
+    .map(([, fieldValue]) => extractValue(fieldValue))
+    .filter((part) => part.trim())
+    .join("\n\n");
+}
+
+function extractString(value) {
+  const text = value.trim();
+
+  if (!text || ISO_DATE_PATTERN.test(text) || URL_PATTERN.test(text)) {
+    return "";
+  }
+
+  if (HTML_TAG_PATTERN.test(text)) {
+    return htmlToText(text);
+  }
+
+  if (MARKDOWN_PATTERN.test(text)) {
+    return markdownToText(text);
+  }
+
+  return text;
+}
+
+/**
+ * Whether a value is a JSON RTE document (`{ type: "doc", children }` from
+ * the Delivery API, or `{ json }` from GraphQL)
+ */
+function isJsonRte(value) {
+  if (!value || typeof value !== "object") {
+    return false;
+  }
+
+  if (value.json && typeof value.json === "object") {
+    return true;
+  }
+
+  return value.type === "doc" && Array.isArray(value.children);
+}
+
+/**
+ * Extract text from a JSON RTE document, keeping headings, lists and tables
+ * @param {Object} richText - JSON RTE document
+ * @returns {string}
+ */
+function extractRichText(richText) {
+  const doc = richText.json || richText;
+  if (!doc || !Array.isArray(doc.children)) {
+    return "";
+  }
+
+  return tidy(extractNodes(doc.children, null));
+}
+
+function extractNodes(nodes, listType) {
+  let text = "";
+
+  for (const node of nodes) {
+    if (!node || typeof node !== "object") {
+      continue;
+    }
+
+    if (typeof node.text === "string") {
+      text += node.text;
+      continue;
+    }
+
+    const children = Array.isArray(node.children) ? node.children : [];
+    const type = node.type || "";
+    const heading = /^h([1-6])$/.exec(type);
+
+    if (heading) {
+      const inner = extractNodes(children, null).replace(/\s+/g, " ").trim();
+      text += `\n\n${"#".repeat(Number(heading[1]))} ${inner}\n\n`;
+    } else if (type === "li") {
+      const marker = listType === "ol" ? "1." : "-";
+      text += `\n${marker} ${extractNodes(children, null).trim()}`;
+    } else if (type === "ul" || type === "ol") {
+      text += `\n\n${extractNodes(children, type)}\n\n`;
+    } else if (type === "td" || type === "th") {
+      text += `${extractNodes(children, null).trim()} | `;
+    } else if (type === "tr") {
+      text += `\n${extractNodes(children, null).replace(/ \| $/, "")}\n`;
+    } else if (RICH_TEXT_BLOCK_TYPES.has(type)) {
+      const inner = extractNodes(children, listType);
+      const alt = getAltText(node.attrs);
+      text += `\n\n${[inner.trim(), alt].filter(Boolean).join(" ")}\n\n`;
+    } else {
+      text += extractNodes(children, listType);
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Alt text and caption of an embedded image or asset
+ */
+function getAltText(attrs) {
+  if (!attrs) {
+    return "";
+  }
+
+  return unique([
+    attrs.alt,
+    attrs["asset-alt"],
+    attrs.caption,
+    attrs["asset-caption"],
+  ])
+    .filter((text) => typeof text === "string" && text.trim())
+    .join(" ");
+}
+
+/**
+ * Convert HTML (HTML RTE fields) to text, keeping headings, list items and
+ * image alt text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<img\b[^>]*?\balt\s*=\s*(["'])(.*?)\1[^>]*>/gi, " $2 ")
+    .replace(
+      /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (match, level, inner) =>
+        `\n\n${"#".repeat(Number(level))} ${stripTags(inner)
+          .replace(/\s+/g, " ")
+          .trim()}\n\n`
+    )
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(td|th)>/gi, " | ")
+    .replace(
+      /<\/?(p|div|section|article|blockquote|pre|ul|ol|table|tr|hr|figure|figcaption)\b[^>]*>/gi,
+      "\n\n"
+    );
+
+  return tidy(decodeEntities(stripTags(text)).replace(/ \| (?=\n|$)/g, ""));
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, "");
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      // Out-of-range code points are left as written
+      return Number.isNaN(code) || code > 0x10ffff
+        ? match
+        : String.fromCodePoint(code);
+    }
+
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert markdown to text: links and images become their text, emphasis
+ * and code markers are dropped, headings and list items are kept
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+  const text = markdown
+    .replace(/```[^\n]*\n?([\s\S]*?)```/g, "\n\n$1\n\n")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/^[ \t]*\[[^\]]+\]:[ \t]*\S+.*$/gm, "")
+    .replace(/^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, "\n\n$1 $2\n\n")
+    .replace(/^[ \t]*>[ \t]?/gm, "")
+    .replace(/^[ \t]*[*+][ \t]+/gm, "- ")
+    .replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, "")
+    .replace(/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, "")
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, "$1$2")
+    .replace(/(^|\W)_(?!\s)([^_\n]+?)_(?!\w)/g, "$1$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+
+  return tidy(HTML_TAG_PATTERN.test(text) ? htmlToText(text) : text);
+}
+
+/**
+ * Collapse block structure and heading markers into a single line of text
+ * @param {string} text
+ * @returns {string}
+ */
+function flattenText(text) {
+  return text
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Trim lines and keep at most one blank line between blocks
+ */
+function tidy(text) {
+  return text
+    .replace(/[ \t ]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  extractText,
+  extractRichText,
+  htmlToText,
+  markdownToText,
+  flattenText,
+  isJsonRte,
+};
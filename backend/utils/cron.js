@@ -0,0 +1,181 @@
+/**
+ * Next run times of cron expressions, as node-cron schedules them.
+ *
+ * Supports 5 fields or 6 with leading seconds, `*`, ranges, steps, lists and
+ * month and weekday names. Like node-cron, and unlike classic cron, a time
+ * must match both the day of month and the day of week, steps keep the
+ * values divisible by the step (`10-20/5` is 10, 15, 20) and times are local.
+ */
+
+const FIELDS = [
+  { name: "second", min: 0, max: 59 },
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: [
+      "jan",
+      "feb",
+      "mar",
+      "apr",
+      "may",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "oct",
+      "nov",
+      "dec",
+    ],
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    max: 7,
+    names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  },
+];
+
+// Give up on expressions that never match, e.g. February 30th
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Parse a cron expression into the allowed values of each field
+ * @param {string} expression - Cron expression with 5 or 6 fields
+ * @returns {Object<string, Set<number>>} - Allowed values by field name
+ */
+function parseCron(expression) {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+
+  if (parts.length === 5) {
+    parts.unshift("0");
+  }
+  if (parts.length !== 6) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const fields = {};
+  FIELDS.forEach((field, i) => {
+    fields[field.name] = parseField(parts[i], field, expression);
+  });
+
+  // 7 is Sunday as well
+  if (fields.dayOfWeek.delete(7)) {
+    fields.dayOfWeek.add(0);
+  }
+
+  return fields;
+}
+
+/**
+ * Allowed values of one field, e.g. `1-5`, `*\/15` or `mon,wed`
+ */
+function parseField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(",")) {
+    const [range, step, ...rest] = item.split("/");
+    const divider = step === undefined ? 1 : Number(step);
+
+    if (rest.length > 0 || !Number.isInteger(divider) || divider < 1) {
+      throw new Error(`Invalid cron expression: ${expression}`);
+    }
+
+    let first = field.min;
+    let last = field.max;
+
+    if (range !== "*") {
+      const bounds = range.split("-");
+      if (bounds.length > 2) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+      }
+
+      first = toValue(bounds[0], field, expression);
+      last =
+        bounds.length === 2 ? toValue(bounds[1], field, expression) : first;
+      if (first > last) {
+        [first, last] = [last, first];
+      }
+    }
+
+    for (let value = first; value <= last; value++) {
+      if (value % divider === 0) {
+        values.add(value);
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Number of a field value, accepting month and weekday names
+ */
+function toValue(token, field, expression) {
+  const name = token.toLowerCase().slice(0, 3);
+  const index = field.names ? field.names.indexOf(name) : -1;
+
+  if (index !== -1 && /^[a-z]+$/i.test(token)) {
+    return field.name === "month" ? index + 1 : index;
+  }
+
+  const value = Number(token);
+  if (
+    token === "" ||
+    !Number.isInteger(value) ||
+    value < field.min ||
+    value > field.max
+  ) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  return value;
+}
+
+/**
+ * Next time a cron expression fires after a given time
+ * @param {string} expression - Cron expression with 5 or 6 fields
+ * @param {Date} from - Time to start from, now by default
+ * @returns {Date|null} - Next run, or null when the expression never matches
+ */
+function getNextRun(expression, from = new Date()) {
+  const fields = parseCron(expression);
+  const date = new Date(from.getTime());
+  const maxYear = date.getFullYear() + MAX_YEARS_AHEAD;
+
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  while (date.getFullYear() <= maxYear) {
+    if (!fields.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0);
+    } else if (
+      !fields.dayOfMonth.has(date.getDate()) ||
+      !fields.dayOfWeek.has(date.getDay())
+    ) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0);
+    } else if (!fields.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0);
+    } else if (!fields.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0);
+    } else if (!fields.second.has(date.getSeconds())) {
+      date.setSeconds(date.getSeconds() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
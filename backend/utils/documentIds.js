@@ -0,0 +1,58 @@
+/**
+ * IDs of indexed documents.
+ *
+ * An entry is identified by its content type, uid and locale
+ * (`blog_post:blt123:en-us`), so localized variants of one entry are indexed
+ * side by side and syncs, webhooks and deletes all address the same rows.
+ * Each chunk row appends its position (`blog_post:blt123:en-us#2`) and
+ * points to the entry through `parent_id`. Contentstack uids and locale
+ * codes never contain `:` or `#`.
+ */
+
+/**
+ * Build the ID of an entry
+ * @param {string} contentTypeUid - Content type of the entry
+ * @param {string} entryUid - Contentstack uid of the entry
+ * @param {string} locale - Locale the entry is indexed in
+ * @returns {string} - Entry ID, the `parent_id` of its chunk rows
+ */
+function buildEntryId(contentTypeUid, entryUid, locale) {
+  return `${contentTypeUid}:${entryUid}:${locale}`;
+}
+
+/**
+ * Build the row ID for one chunk of an entry
+ * @param {string} parentId - ID of the parent entry
+ * @param {number} chunkIndex - Position of the chunk within the entry
+ * @returns {string} - Chunk row ID
+ */
+function buildChunkId(parentId, chunkIndex) {
+  return `${parentId}#${chunkIndex}`;
+}
+
+/**
+ * Split an entry or chunk row ID into its parts
+ * @param {string} id - Entry or chunk row ID
+ * @returns {{contentType: string, uid: string, locale: string, chunkIndex: number|null}|null} -
+ *   null for IDs of another format, e.g. rows written before composite IDs
+ */
+function parseDocumentId(id) {
+  const match = /^([^:#]+):([^:#]+):([^:#]+)(?:#(\d+))?$/.exec(id || "");
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    contentType: match[1],
+    uid: match[2],
+    locale: match[3],
+    chunkIndex: match[4] === undefined ? null : Number(match[4]),
+  };
+}
+
+module.exports = {
+  buildEntryId,
+  buildChunkId,
+  parseDocumentId,
+};
@@ -51,11 +51,7 @@ async function withRetry(operation, options = {}) {
         throw error;
       }
 
-      // Calculate delay with exponential backoff and jitter
-      const delay = Math.min(
-        baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000,
-        maxDelay
-      );
+      const delay = getBackoffDelay(attempt, { baseDelay, maxDelay });
 
       logger.warn(
         `Operation failed on attempt ${attempt}/${
@@ -75,6 +71,23 @@ async function withRetry(operation, options = {}) {
   throw lastError;
 }
 
+/**
+ * Delay before the next attempt, with exponential backoff and jitter
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Base delay in milliseconds (default: 1000)
+ * @param {number} options.maxDelay - Maximum delay in milliseconds (default: 30000)
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options = {}) {
+  const { baseDelay = 1000, maxDelay = 30000 } = options;
+
+  return Math.min(
+    baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000,
+    maxDelay
+  );
+}
+
 /**
  * Determines if an error should be retried based on error type and characteristics
  * @param {Error} error - The error to evaluate
@@ -228,6 +241,7 @@ function sleep(ms) {
 
 module.exports = {
   withRetry,
+  getBackoffDelay,
   isRetryableError,
   categorizeError,
   sleep,
@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+/**
+ * Constant-time string comparison. Both values are hashed first, so their
+ * lengths do not leak either.
+ */
+function safeEqual(a, b) {
+  const hash = (value) =>
+    crypto
+      .createHash("sha256")
+      .update(String(value ?? ""))
+      .digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+module.exports = {
+  safeEqual,
+};